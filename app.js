@@ -8,66 +8,202 @@ const CONFIG = {
   BROADCAST_INTERVAL: 500,     // How often to send updates to clients (ms)
   STOCKS_TO_UPDATE: 15,        // Number of random stocks to update each cycle
   PRICE_CHANGE_RANGE: 0.05,    // Max price change percentage (5%)
+  TICK_VOLUME_MEAN: 300,       // Average shares traded with each simulated price tick
   MIN_SPREAD: 0.01,            // Minimum spread between buy/sell (1%)
   MAX_SPREAD: 0.05,            // Maximum spread between buy/sell (5%)
+  SPREAD_VOLATILITY: 0.1,      // Spread noise per update, as a fraction of MAX_SPREAD - MIN_SPREAD
+  SPREAD_MEAN_REVERSION: 0.1,  // Pull of the spread towards the middle of its range per update
+  TICK_SIZE_BANDS: [           // Tick size by price band (the first band the price is below; upTo null = above all)
+    { upTo: 1, tick: 0.001 },
+    { upTo: 10, tick: 0.005 },
+    { upTo: 100, tick: 0.01 },
+    { upTo: 1000, tick: 0.05 },
+    { upTo: null, tick: 0.1 }
+  ],
   
-  // Table update configuration
-  TABLE_ELEMENTS: 20,          // Total number of table elements to generate
-  TABLE_UPDATES_PER_SECOND: 6, // Number of elements to push per second
+  // Time & sales (table_update) configuration
+  TABLE_UPDATES_PER_SECOND: 6, // How often trades are batched into table_update per second
+  TAPE_HISTORY_SIZE: 100,      // Recent trades kept per symbol (GET /tape)
   
   // Homepage update configuration
   HOMEPAGE_UPDATE_INTERVAL: 3000, // How often to send homepage updates (ms)
   
   // Chart update configuration - REALISTIC SETTINGS
   CHART_UPDATE_INTERVAL: 1000,    // How often to send chart updates (1 second)
-  CHART_CANDLE_DURATION: 5000,    // Duration of each candle (5 seconds for visible movement)
-  CHART_BASE_PRICE: 150,          // Starting price for the chart
+  CHART_INTERVALS: {              // Supported timeframes (candles are aligned to the clock)
+    '5s': 5000,
+    '1m': 60 * 1000,
+    '5m': 5 * 60 * 1000,
+    '15m': 15 * 60 * 1000,
+    '1h': 60 * 60 * 1000,
+    '1D': 24 * 60 * 60 * 1000
+  },
+  CHART_DEFAULT_INTERVAL: '5s',   // Timeframe used when a client doesn't pick one
   CHART_VOLATILITY: 0.003,        // Realistic volatility (0.3% per tick)
-  CHART_HISTORY_SIZE: 100,        // Maximum number of historical candles to keep
+  CHART_HISTORY_SIZE: 100,        // Maximum number of historical candles to keep per timeframe
   CHART_TICKS_PER_CANDLE: 5,      // Number of price updates within each candle
   
   // Realistic market behavior
   TREND_CHANGE_PROBABILITY: 0.02, // 2% chance to change trend each tick
   STRONG_MOVE_PROBABILITY: 0.05,  // 5% chance of larger price movement
   MEAN_REVERSION_FACTOR: 0.1,     // Pull towards base price (10%)
+  
+  // Order book / matching engine configuration
+  ORDER_BOOK_LEVELS: 5,            // Simulated liquidity price levels on each side
+  ORDER_BOOK_LEVEL_STEP: 0.001,    // Price gap between simulated levels (0.1%, at least one tick)
+  ORDER_BOOK_LEVEL_SIZE_MIN: 100,  // Minimum simulated quantity per level
+  ORDER_BOOK_LEVEL_SIZE_MAX: 1000, // Maximum simulated quantity per order
+  ORDER_BOOK_ORDERS_PER_LEVEL: 4,  // Maximum simulated orders resting at each level
+  DEPTH_LEVELS: 10,                // Price levels per side in depth_update
+  MAX_ORDER_QUANTITY: 1000000,     // Largest quantity a client order may have
+  
+  // Paper trading accounts
+  ACCOUNT_INITIAL_CASH: 17500,            // Starting cash balance
+  ACCOUNT_STARTING_POSITIONS: 4,          // Number of positions a new account starts with
+  ACCOUNT_STARTING_POSITION_VALUE: 2500,  // Approximate value of each starting position
+  
+  // Instrument master (reference data)
+  INSTRUMENT_FILE: process.env.SIM_INSTRUMENTS || null, // .csv or .json file the symbol universe is loaded from (null = random symbols)
+  DEFAULT_CURRENCY: process.env.SIM_CURRENCY || 'USD', // Currency of generated instruments and rows without one
+  DEFAULT_LOT_SIZE: 1,         // Lot size of generated instruments and rows without one
+  
+  // Historical data replay
+  REPLAY_DIR: process.env.SIM_REPLAY_DIR || 'replay-data', // Directory replay files are loaded from
+  REPLAY_FILES: process.env.SIM_REPLAY_FILES ? process.env.SIM_REPLAY_FILES.split(',') : [], // Files to replay on start
+  REPLAY_SPEED: Number(process.env.SIM_REPLAY_SPEED) || 1, // Data time multiplier (10 = ten times real time)
+  REPLAY_LOOP: process.env.SIM_REPLAY_LOOP === 'true',     // Restart from the beginning at the end
+  
+  // Price models
+  PRICE_MODEL_DEFAULT: process.env.SIM_PRICE_MODEL || 'uniform', // Model for symbols no assignment rule matches
+  PRICE_MODEL_FILE: process.env.SIM_PRICE_MODELS || null, // JSON file with { default, modules, rules } (null = none)
+  PRICE_MODEL_TIME_UNIT: 60 * 60 * 1000, // Time unit of model drift, volatility and rate parameters (1 simulated hour)
+  PRICE_MODEL_MAX_STEP: 60000,   // Longest gap between updates a model step covers (ms)
+  
+  // Sectors & market indices
+  SECTORS: [                     // Sectors new stocks are spread across
+    { code: 'TECH', name: 'Technology' },
+    { code: 'FIN', name: 'Financials' },
+    { code: 'HLTH', name: 'Healthcare' },
+    { code: 'ENGY', name: 'Energy' },
+    { code: 'CONS', name: 'Consumer' },
+    { code: 'INDU', name: 'Industrials' },
+    { code: 'UTIL', name: 'Utilities' },
+    { code: 'MATR', name: 'Materials' }
+  ],
+  MARKET_FACTOR_VOLATILITY: 0.04, // Market factor volatility per price model time unit (4%)
+  SECTOR_FACTOR_VOLATILITY: 0.03, // Sector factor volatility per price model time unit (3%)
+  MARKET_BETA_RANGE: [0.6, 1.4],  // Range stock betas to the market factor are drawn from
+  SECTOR_BETA_RANGE: [0.5, 1.5],  // Range stock betas to their sector factor are drawn from
+  INDEX_UPDATE_INTERVAL: 1000,    // How often indices are recalculated and broadcast (ms)
+  INDEX_BASE_LEVEL: 1000,         // Level every index starts at
+  
+  // Trading halts & circuit breakers
+  PRICE_LIMIT_WINDOW: 60000,     // Window a symbol's move is measured over (ms)
+  LIMIT_BAND_PERCENT: 0.10,      // Move that clamps a symbol at limit up/down (10%; the narrowest band)
+  LIMIT_BAND_SIGMAS: 4,          // Bands widen to this many standard deviations of the symbol's usual move over the window
+  LIMIT_VOLATILITY_DECAY: 0.97,  // Decay of the per-tick variance average the bands are scaled by
+  LIMIT_VOLATILITY_WARMUP: 10,   // Ticks a symbol's volatility is measured over before its bands apply
+  LIMIT_RELEASE_RATIO: 0.8,      // A symbol at a limit trades again once its move is back under this share of the band
+  LIMIT_STATE_DURATION: 15000,   // Time at a limit before the symbol is halted (ms)
+  HALT_MOVE_PERCENT: 0.20,       // Move that halts a symbol at once, e.g. a gap (20%; scaled with the band)
+  HALT_DURATION: 60000,          // How long a symbol halt lasts (ms)
+  CIRCUIT_BREAKER_LEVELS: [      // Composite index drops that halt the whole market (duration null = rest of the session, see below)
+    { drop: 0.07, duration: 60000 },
+    { drop: 0.13, duration: 120000 },
+    { drop: 0.20, duration: null }
+  ],
+  CIRCUIT_BREAKER_SESSIONLESS_HALT: 900000, // How long a duration-null halt lasts without the session calendar (ms)
+  
+  // Trading session calendar
+  SESSION_ENABLED: process.env.SIM_SESSION === 'on', // Follow the calendar below (off = continuous trading around the clock)
+  SESSION_TIMEZONE: process.env.SIM_TIMEZONE || 'America/New_York', // Time zone the schedule is in
+  SESSION_SCHEDULE: [            // Phase start times on trading days (before the first entry the market is closed)
+    { phase: 'pre_open', start: '08:00' },
+    { phase: 'auction', start: '09:25' },
+    { phase: 'continuous', start: '09:30' },
+    { phase: 'closed', start: '16:00' }
+  ],
+  SESSION_TRADING_DAYS: [1, 2, 3, 4, 5], // Weekdays the market opens (0 = Sunday)
+  SESSION_HOLIDAYS: process.env.SIM_HOLIDAYS ? process.env.SIM_HOLIDAYS.split(',') : [], // Closed dates (YYYY-MM-DD, local)
+  SESSION_CHECK_INTERVAL: 1000,  // How often the schedule is checked (ms)
+  OPENING_AUCTION_GAP: 0.02,     // Max opening price move from the last price (2%)
+  
+  // Scenario scripting
+  SCENARIO_DIR: process.env.SIM_SCENARIO_DIR || 'scenarios', // Directory scenario files are loaded from
+  SCENARIO_FILES: process.env.SIM_SCENARIOS ? process.env.SIM_SCENARIOS.split(',') : [], // Scenarios run whenever the market starts
+  SCENARIO_TREND_DRIFT: 20,      // Log drift per PRICE_MODEL_TIME_UNIT of a strength-1 trend (20 = about 0.56% a second with the 1-hour unit)
+  
+  // Persistence
+  SNAPSHOT_FILE: process.env.SIM_SNAPSHOT_FILE !== undefined ? process.env.SIM_SNAPSHOT_FILE : 'data/market-snapshot.json', // Snapshot store ('' = no persistence)
+  SNAPSHOT_INTERVAL: 60000,    // How often snapshots are written (ms of wall time)
+  IDLE_POLICY: process.env.SIM_IDLE_POLICY || 'pause', // With no clients: 'pause', 'continue' or 'reset'
+  
+  // Deterministic simulation (reproducible tests)
+  SEED: process.env.SIM_SEED || null,               // Seed for all randomness (null = Math.random)
+  CLOCK_MODE: process.env.SIM_CLOCK || 'realtime',  // 'realtime' (starts running) or 'manual' (starts paused, stepped via /clock)
+  MANUAL_CLOCK_START: process.env.SIM_CLOCK_START || '2024-01-02T09:30:00Z', // Start time of the manual clock
+  CLOCK_RESOLUTION: 20,            // How often the virtual clock catches up with wall time (ms)
+  CLOCK_MAX_SPEED: 1000,           // Highest allowed clock speed multiplier
+  CLOCK_MAX_ADVANCE: 3600000,      // Longest jump of POST /clock/advance (ms of simulated time; /clock/step ticks are capped to match)
+  CLOCK_ADVANCE_CHUNK: 1000,       // Simulated ms run between yields to the event loop during a jump
+  
+  // Reconnect resync
+  RESYNC_BUFFER_SIZE: 200,         // Messages kept per stream for reconnecting clients (bigger gaps get a snapshot)
+  RESYNC_GRACE_PERIOD: 30000,      // How long chart and depth streams keep buffering after their last subscriber left (ms of wall time)
+  
+  // Plain WebSocket & Server-Sent Events transports
+  WS_PATH: process.env.SIM_WS_PATH || '/ws', // Path of the plain WebSocket endpoint (JSON { event, data } messages)
+  SSE_KEEPALIVE_INTERVAL: 15000,   // How often idle /stream connections get a comment line so proxies keep them open (ms of wall time)
+  
+  // FIX 4.4 gateway
+  FIX_PORT: process.env.SIM_FIX_PORT ? Number(process.env.SIM_FIX_PORT) : null, // TCP port of the FIX acceptor (null = disabled)
+  FIX_COMP_ID: process.env.SIM_FIX_COMP_ID || 'SIMEXCH', // SenderCompID of the acceptor (the clients' TargetCompID)
+  FIX_MESSAGE_STORE_SIZE: 1000,    // Execution reports and rejects kept per FIX session for ResendRequest
+  
+  // Admin API (runtime configuration)
+  ADMIN_TOKEN: process.env.SIM_ADMIN_TOKEN || null, // Token required by /admin and the /admin namespace (null = disabled)
 };
 
 // ============================================
 // DEPENDENCIES
 // ============================================
+const crypto = require('crypto');
 const express = require('express');
+const fs = require('fs');
 const http = require('http');
+const msgpack = require('@msgpack/msgpack');
+const net = require('net');
+const path = require('path');
 const socketIo = require('socket.io');
+const { WebSocket, WebSocketServer } = require('ws');
 
 // ============================================
 // SERVER SETUP
 // ============================================
 const app = express();
+app.use(express.json());
 const server = http.createServer(app);
 const io = socketIo(server, {
   cors: {
     origin: '*',
-    methods: ['GET', 'POST']
+    methods: ['GET', 'POST', 'PATCH']
   }
 });
 
+// Admin namespace - authenticated with handshake auth { token }
+const adminNamespace = io.of('/admin');
+
+// Plain WebSocket endpoint for clients that can't speak the Socket.IO protocol (upgrades are routed by path)
+const wss = new WebSocketServer({ noServer: true });
+
 // ============================================
 // DATA STORAGE
 // ============================================
 let stockSymbols = [];
-let tableElements = [];
-let tableUpdateQueue = [];
-let currentTableIndex = 0;
-let homepageData = null;
-
-// Chart data storage - ENHANCED FOR REALISM
-let chartData = [];
-let currentCandle = null;
-let candleStartTime = null;
-let lastPrice = CONFIG.CHART_BASE_PRICE;
-let currentTrend = 0; // -1: bearish, 0: neutral, 1: bullish
-let trendStrength = 0; // 0-1: how strong the trend is
-let tickCount = 0; // Tracks ticks within current candle
+
+// Chart data storage - one candle series per symbol and timeframe
+// symbol_name -> { lastPrice, basePrice, trend, trendStrength, series: { interval -> { candles, currentCandle, candleStartTime, tickCount, completedSinceBroadcast } } }
+const symbolCharts = new Map();
 
 // Interval tracking
 let stockUpdateInterval = null;
@@ -75,53 +211,342 @@ let broadcastInterval = null;
 let tableUpdateInterval = null;
 let homepageUpdateInterval = null;
 let chartUpdateInterval = null;
+let replayInterval = null;
+let scenarioInterval = null;
+let sessionInterval = null;
+let indexUpdateInterval = null;
+let snapshotTimer = null;
 
 // Connected clients tracking
 let connectedClients = 0;
 
-// Track which clients have received initial chart data
+// Plain WebSocket and SSE clients (client id -> client with the Socket.IO socket interface the handlers use)
+const plainClients = new Map();
+let nextPlainClientId = 1;
+
+// FIX sessions (counterparty CompID -> session; kept across connections for sequence numbers)
+const fixSessions = new Map();
+let fixServer = null;
+let nextFixRejectId = 1;
+
+// Track which symbols and timeframe each client has requested charts for (socket.id -> Map<symbol_name, interval>)
 const clientChartStatus = new Map();
 
+// Stock subscriptions (socket.id -> { all, explicit, symbols, patterns })
+const clientStockSubscriptions = new Map();
+const STOCKS_ALL_ROOM = 'stocks:all';
+
+// Stock delta tracking: symbols changed since the last stock_update delta
+const changedStockSymbols = new Set();
+
+// Stream sequence numbers and replay buffers for reconnecting clients
+const streamBuffers = new Map(); // stream id -> { seq, messages: [{ seq, payload }] }
+
+// Order books (symbol_name -> { bids, asks }) and open client orders (order_id -> order)
+const orderBooks = new Map();
+const openOrders = new Map();
+const changedBookSymbols = new Set(); // Symbols whose book changed since the last broadcast
+const depthStates = new Map();        // symbol -> { bids, asks } last depth published to its depth room
+let nextOrderId = 1;
+let nextExecId = 1;
+let nextOrderSequence = 1; // Time priority within a price level
+
+// Quote model state (symbol -> { mid, spread }); buy_value/sell_value are the mid and spread rounded to ticks
+const quoteStates = new Map();
+
+// Instrument master
+const instruments = new Map();   // symbol -> { symbol_name, name, isin, sector, currency, lot_size, tick_size, initial_price }
+let referenceInstruments = null; // Instruments loaded from CONFIG.INSTRUMENT_FILE (null = random universe)
+
+// Time & sales
+const tradeTapes = new Map(); // symbol -> recent trades, oldest first (up to TAPE_HISTORY_SIZE)
+let pendingTapeTrades = [];   // Trades not yet sent in table_update
+let nextTradeId = 1;
+
+// Paper trading accounts (user_id -> { cash, realized_pnl, positions, favorites, recommendations })
+const accounts = new Map();
+
+// Price model state
+const priceModels = new Map();  // model name -> { name, description, defaults, step }
+const priceModelRules = [];     // { model, params, symbols?, pattern?, sector? }, later rules win
+const symbolModels = new Map(); // symbol -> { name, model, params, state } (resolved on first update)
+
+// Sector factor and index state
+const marketFactors = { market: 0, sectors: new Map() }; // Log levels of the market and each sector factor
+const factorExposures = new Map();   // symbol -> { marketBeta, sectorBeta, marketLevel, sectorLevel }
+const marketIndices = new Map();     // index id -> { level, openLevel, chart }
+const pendingIndexVolumes = new Map(); // index id -> quantity traded since the last index update
+const indexPreviousMids = new Map(); // symbol -> mid price at the last index update
+
+// Trading halt state
+const priceLimitStates = new Map(); // symbol -> { samples, variance, ticks, limitSince, haltedUntil, haltReason }
+const marketStatus = {
+  halted: false,
+  level: 0,                  // Highest circuit breaker level tripped since market open
+  resumesAt: null,
+  referenceLevel: null       // Composite index level the circuit breaker drops are measured from
+};
+
+// Trading session state
+const session = {
+  phase: 'continuous',
+  override: null,       // { phase, scheduledPhase } while an admin override is active
+  tradingSession: null  // Local date of the last opening auction
+};
+let sessionDay = null;  // { start, end } of the session-local day daily candles last fell into
+
+// Scenario engine state (running scenarios and their active effects)
+const runningScenarios = new Map(); // run id -> { id, scenario, startedAt, nextEvent }
+let scenarioEffects = [];            // { run, type, symbols, multiplier | drift | factorPerTick, endsAt }
+let nextScenarioRunId = 1;
+
+// Historical replay state (events are kept across market resets; the position is data time in ms)
+const replay = {
+  files: [],
+  events: [],
+  names: new Map(),
+  symbols: new Set(),
+  startTime: null,
+  endTime: null,
+  position: null,
+  index: 0,
+  speed: CONFIG.REPLAY_SPEED,
+  loop: CONFIG.REPLAY_LOOP,
+  playing: false,
+  finished: false
+};
+
 // ============================================
-// UTILITY FUNCTIONS
+// DETERMINISTIC SIMULATION (SEEDED RANDOMNESS + VIRTUAL CLOCK)
 // ============================================
 
+// Source of all randomness in the simulator (replaced by a seeded PRNG when CONFIG.SEED is set)
+let random = Math.random;
+
+// Virtual simulation clock - every update loop runs on it, never on wall-clock timers.
+// 'realtime' mode starts running at wall time; 'manual' mode starts paused at MANUAL_CLOCK_START.
+let simulationTime = CONFIG.CLOCK_MODE === 'manual' ? Date.parse(CONFIG.MANUAL_CLOCK_START) : Date.now();
+let clockPaused = CONFIG.CLOCK_MODE === 'manual';
+let clockSpeed = 1;
+let clockDriverInterval = null;
+let lastClockDriveTime = null;
+const clockTimers = new Map(); // timer id -> { callback, intervalMs, nextRun }
+let nextClockTimerId = 1;
+let clockAdvancing = false; // A step or advance is running in chunks
+
+/**
+ * Creates a seeded pseudo-random generator (mulberry32 seeded from a string hash)
+ * @param {string|number} seed - Seed value
+ * @returns {function(): number} Generator returning floats in [0, 1)
+ */
+function createSeededRandom(seed) {
+  // Hash the seed string into a 32-bit state
+  let state = 1779033703 ^ String(seed).length;
+  for (const char of String(seed)) {
+    state = Math.imul(state ^ char.charCodeAt(0), 3432918353);
+    state = (state << 13) | (state >>> 19);
+  }
+  
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Resets the random source so a fresh market universe replays the same sequence
+ */
+function resetRandom() {
+  random = CONFIG.SEED !== null ? createSeededRandom(CONFIG.SEED) : Math.random;
+}
+
+/**
+ * Gets the current simulation time
+ * @returns {number} Milliseconds since epoch on the virtual clock
+ */
+function now() {
+  return simulationTime;
+}
+
+/**
+ * Runs a callback repeatedly on the simulation clock
+ * @param {function} callback - Function to run
+ * @param {number} intervalMs - Interval in simulated milliseconds
+ * @returns {number} Handle to pass to cancelInterval
+ */
+function scheduleInterval(callback, intervalMs) {
+  const id = nextClockTimerId++;
+  clockTimers.set(id, { callback, intervalMs, nextRun: simulationTime + intervalMs });
+  return id;
+}
+
+/**
+ * Cancels an interval created with scheduleInterval
+ * @param {number} handle - Handle returned by scheduleInterval
+ */
+function cancelInterval(handle) {
+  clockTimers.delete(handle);
+}
+
+/**
+ * Advances the simulation clock, firing due intervals in time order
+ * (ties run in the order the intervals were scheduled)
+ * @param {number} ms - Simulated milliseconds to advance
+ * @returns {number} New simulation time
+ */
+function advanceClock(ms) {
+  const target = simulationTime + ms;
+  
+  while (true) {
+    let dueTimer = null;
+    for (const timer of clockTimers.values()) {
+      if (timer.nextRun <= target && (!dueTimer || timer.nextRun < dueTimer.nextRun)) {
+        dueTimer = timer;
+      }
+    }
+    if (!dueTimer) break;
+    
+    simulationTime = dueTimer.nextRun;
+    dueTimer.nextRun += dueTimer.intervalMs;
+    dueTimer.callback();
+  }
+  
+  simulationTime = target;
+  return simulationTime;
+}
+
+/**
+ * Describes the clock for the /clock endpoints and clock_update events
+ * @returns {object} Clock state
+ */
+function getClockState() {
+  return {
+    mode: CONFIG.CLOCK_MODE,
+    seed: CONFIG.SEED,
+    paused: clockPaused,
+    speed: clockSpeed,
+    time: simulationTime,
+    iso: new Date(simulationTime).toISOString(),
+    tickMs: CONFIG.UPDATE_INTERVAL,
+    scheduledIntervals: clockTimers.size
+  };
+}
+
+/**
+ * Tells connected clients the clock changed (paused, resumed, speed, jumped)
+ */
+function broadcastClockState() {
+  emitToAll('clock_update', getClockState());
+}
+
+/**
+ * Moves the virtual clock forward by the wall time elapsed since the last drive, scaled by the speed
+ */
+function driveClock() {
+  const wallTime = Date.now();
+  const elapsed = wallTime - lastClockDriveTime;
+  lastClockDriveTime = wallTime;
+  
+  if (!clockPaused && elapsed > 0) {
+    advanceClock(elapsed * clockSpeed);
+  }
+}
+
+/**
+ * Starts the wall-clock driver of the simulation clock
+ */
+function startClockDriver() {
+  lastClockDriveTime = Date.now();
+  clockDriverInterval = setInterval(driveClock, CONFIG.CLOCK_RESOLUTION);
+}
+
+/**
+ * Stops the wall-clock driver of the simulation clock
+ */
+function stopClockDriver() {
+  if (clockDriverInterval) {
+    clearInterval(clockDriverInterval);
+    clockDriverInterval = null;
+  }
+}
+
+/**
+ * Pauses the simulation clock (the market freezes)
+ */
+function pauseClock() {
+  clockPaused = true;
+  console.log(`⏸️  Simulation clock paused at ${new Date(simulationTime).toISOString()}`);
+  broadcastClockState();
+}
+
+/**
+ * Resumes the simulation clock from where it was paused
+ */
+function resumeClock() {
+  lastClockDriveTime = Date.now();
+  clockPaused = false;
+  console.log(`▶️  Simulation clock resumed at ${clockSpeed}x`);
+  broadcastClockState();
+}
+
+/**
+ * Sets how many simulated milliseconds pass per wall-clock millisecond
+ * @param {number} speed - Speed multiplier (e.g. 10 or 100)
+ */
+function setClockSpeed(speed) {
+  clockSpeed = speed;
+  console.log(`⏩ Simulation clock speed set to ${speed}x`);
+  broadcastClockState();
+}
+
 /**
- * Generates a random value within a range
- * @param {number} min - Minimum value
- * @param {number} max - Maximum value
- * @param {number} decimals - Number of decimal places (default: 2)
- * @returns {number} Random value within range
+ * Advances a paused clock in chunks of CONFIG.CLOCK_ADVANCE_CHUNK, yielding to the event loop
+ * between them so HTTP, sockets and shutdown signals are still served during long jumps
+ * @param {number} ms - Simulated milliseconds to advance
+ * @returns {Promise<number>} New simulation time, once the whole jump has run
  */
-function randomInRange(min, max, decimals = 2) {
-  const value = Math.random() * (max - min) + min;
-  return parseFloat(value.toFixed(decimals));
+async function advanceClockInChunks(ms) {
+  const target = simulationTime + ms;
+  clockAdvancing = true;
+  try {
+    while (simulationTime < target) {
+      advanceClock(Math.min(CONFIG.CLOCK_ADVANCE_CHUNK, target - simulationTime));
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  } finally {
+    clockAdvancing = false;
+  }
+  
+  broadcastClockState();
+  return simulationTime;
 }
 
 /**
- * Generates an array of random values for graph data
- * @param {number} count - Number of values to generate
- * @param {number} min - Minimum value
- * @param {number} max - Maximum value
- * @returns {Array<number>} Array of random values
+ * Advances a paused clock by a number of update ticks (CONFIG.UPDATE_INTERVAL each)
+ * @param {number} ticks - Number of ticks
+ * @returns {Promise<number>} New simulation time
  */
-function generateGraphData(count, min, max) {
-  return Array.from({ length: count }, () => randomInRange(min, max, 2));
+function stepClock(ticks) {
+  return advanceClockInChunks(ticks * CONFIG.UPDATE_INTERVAL);
 }
 
 /**
- * Updates graph data by adding new value and removing oldest
- * @param {Array<number>} graphData - Current graph data array
- * @param {number} newValue - New value to add
- * @returns {Array<number>} Updated graph data
+ * Gets why the clock can't be stepped or advanced right now
+ * @returns {string|null} Reason, or null if it can
  */
-function updateGraphData(graphData, newValue) {
-  const updated = [...graphData];
-  updated.shift(); // Remove first element
-  updated.push(newValue); // Add new value at end
-  return updated;
+function getClockJumpConflict() {
+  if (!clockPaused) return 'Pause the clock before stepping or advancing it (POST /clock/pause)';
+  if (clockAdvancing) return 'The clock is already being stepped or advanced';
+  return null;
 }
 
+// ============================================
+// UTILITY FUNCTIONS
+// ============================================
+
 /**
  * Generates a random stock symbol
  * @param {number} index - Index for unique identifier
@@ -130,7 +555,7 @@ function updateGraphData(graphData, newValue) {
 function generateSymbol(index) {
   const letters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
   const prefix = Array.from({ length: 3 }, () => 
-    letters[Math.floor(Math.random() * letters.length)]
+    letters[Math.floor(random() * letters.length)]
   ).join('');
   
   return `${prefix}.X${String(index).padStart(4, '0')}`;
@@ -144,66 +569,18 @@ function generateCompanyName() {
   const prefixes = ['Aero', 'Bio', 'Cyber', 'Data', 'Eco', 'Fintech', 'Global', 'Hydro', 'Info', 'Quantum'];
   const suffixes = ['Systems', 'Technologies', 'Solutions', 'Industries', 'Corp', 'Group', 'Dynamics', 'Innovations', 'Enterprises', 'Holdings'];
   
-  const prefix = prefixes[Math.floor(Math.random() * prefixes.length)];
-  const suffix = suffixes[Math.floor(Math.random() * suffixes.length)];
+  const prefix = prefixes[Math.floor(random() * prefixes.length)];
+  const suffix = suffixes[Math.floor(random() * suffixes.length)];
   
   return `${prefix} ${suffix}`;
 }
 
-/**
- * Generates a random table element symbol name
- * @returns {string} Random symbol name with words
- */
-function generateTableSymbolName() {
-  const words = ['Alpha', 'Beta', 'Gamma', 'Delta', 'Sigma', 'Omega', 'Prime', 'Nova', 'Stellar', 'Cosmic', 
-                 'Quantum', 'Fusion', 'Matrix', 'Nexus', 'Vertex', 'Zenith', 'Apex', 'Core', 'Edge', 'Peak'];
-  const suffixes = ['Holdings', 'Corp', 'Ltd', 'Inc', 'Group', 'Industries', 'Systems', 'Technologies', 'Ventures', 'Capital'];
-  
-  const word1 = words[Math.floor(Math.random() * words.length)];
-  const word2 = words[Math.floor(Math.random() * words.length)];
-  const suffix = suffixes[Math.floor(Math.random() * suffixes.length)];
-  
-  return `${word1} ${word2} ${suffix}`;
-}
-
-/**
- * Generates a random table element
- * @param {number} index - Index for unique identifier
- * @returns {object} Table element object
- */
-function generateTableElement(index) {
-  const price = parseFloat((Math.random() * 999 + 1).toFixed(4));
-  const changePercent = (Math.random() * 20 - 10).toFixed(2);
-  const change = changePercent >= 0 ? `+${changePercent}%` : `${changePercent}%`;
-  const lastOrderValue = parseFloat((Math.random() * 50000).toFixed(2));
-  const lastOrderQty = Math.floor(Math.random() * 1000) + 1;
-  
-  return {
-    symbol_code: generateSymbol(index),
-    symbol_name: generateTableSymbolName(),
-    price: price.toFixed(4),
-    change: change,
-    last_order_value: lastOrderValue.toFixed(2),
-    last_order_qty: lastOrderQty
-  };
-}
-
 /**
  * Generates initial stock price
  * @returns {number} Random price between 1 and 1000
  */
 function generateInitialPrice() {
-  return parseFloat((Math.random() * 999 + 1).toFixed(3));
-}
-
-/**
- * Generates sell price based on buy price
- * @param {number} buyPrice - Buy price
- * @returns {number} Sell price (slightly lower than buy)
- */
-function generateSellPrice(buyPrice) {
-  const spread = CONFIG.MIN_SPREAD + Math.random() * (CONFIG.MAX_SPREAD - CONFIG.MIN_SPREAD);
-  return parseFloat((buyPrice * (1 - spread)).toFixed(3));
+  return parseFloat((random() * 999 + 1).toFixed(3));
 }
 
 /**
@@ -219,24 +596,18 @@ function calculateChange(oldPrice, newPrice) {
 }
 
 /**
- * Updates a stock's buy and sell prices with random changes
+ * Moves a stock's quote one step: its mid and spread update, then buy/sell are re-quoted around them
  * @param {object} stock - Stock object to update
  */
 function updateStockPrices(stock) {
-  const oldBuyPrice = stock.buy_value;
-  const oldSellPrice = stock.sell_value;
+  const quote = getQuoteState(stock);
   
-  // Update buy price
-  const buyChangePercent = (Math.random() * 2 - 1) * CONFIG.PRICE_CHANGE_RANGE;
-  const newBuyPrice = oldBuyPrice * (1 + buyChangePercent);
-  stock.buy_value = parseFloat(Math.max(0.001, newBuyPrice).toFixed(3));
-  stock.buy_change = calculateChange(oldBuyPrice, stock.buy_value);
+  // The symbol's price model moves the mid, its sector and market betas add the correlated move;
+  // running scenarios can widen the move (volatility) or tilt it (trend)
+  const { volatility, drift } = getScenarioAdjustments(stock.symbol_name);
+  const newMid = stepPriceModel(stock, quote.mid, volatility, drift) * Math.exp(takeFactorMove(stock));
   
-  // Update sell price (maintain spread but add some variation)
-  const sellChangePercent = (Math.random() * 2 - 1) * CONFIG.PRICE_CHANGE_RANGE;
-  const newSellPrice = oldSellPrice * (1 + sellChangePercent);
-  stock.sell_value = parseFloat(Math.max(0.001, newSellPrice).toFixed(3));
-  stock.sell_change = calculateChange(oldSellPrice, stock.sell_value);
+  setStockQuote(stock, newMid, nextQuoteSpread(quote.spread));
 }
 
 /**
@@ -250,713 +621,6629 @@ function getRandomIndices(count, max) {
   const actualCount = Math.min(count, max);
   
   while (indices.size < actualCount) {
-    indices.add(Math.floor(Math.random() * max));
+    indices.add(Math.floor(random() * max));
   }
   
   return indices;
 }
 
 // ============================================
-// REALISTIC CHART FUNCTIONS
+// QUOTE MODEL
 // ============================================
 
 /**
- * Updates market trend with realistic behavior
+ * Gets the tick size for a price: the instrument's fixed tick size if it has one,
+ * otherwise the band from CONFIG.TICK_SIZE_BANDS
+ * @param {number} price - Price
+ * @param {string} symbolName - Stock symbol (omit for the band tick size)
+ * @returns {number} Tick size
  */
-function updateMarketTrend() {
-  // Random trend changes
-  if (Math.random() < CONFIG.TREND_CHANGE_PROBABILITY) {
-    const trends = [-1, 0, 1];
-    currentTrend = trends[Math.floor(Math.random() * trends.length)];
-    trendStrength = Math.random() * 0.5 + 0.3; // 0.3 to 0.8
-    console.log(`📊 Trend changed: ${currentTrend === 1 ? 'Bullish' : currentTrend === -1 ? 'Bearish' : 'Neutral'} (strength: ${trendStrength.toFixed(2)})`);
-  }
+function getTickSize(price, symbolName = null) {
+  const instrument = symbolName ? instruments.get(symbolName) : null;
+  if (instrument && instrument.tick_size) return instrument.tick_size;
   
-  // Gradually decay trend strength
-  trendStrength *= 0.98;
+  const band = CONFIG.TICK_SIZE_BANDS.find(entry => entry.upTo === null || price < entry.upTo);
+  return band.tick;
 }
 
 /**
- * Generates a realistic price based on market conditions
- * @param {number} lastPrice - Previous price
- * @returns {number} New price
+ * Checks whether a price lies on a tick grid (within float error)
+ * @param {number} price - Price
+ * @param {number} tick - Tick size
+ * @returns {boolean} True if the price is a whole number of ticks
  */
-function generateRealisticPrice(lastPrice) {
-  updateMarketTrend();
-  
-  // Base random walk
-  let randomComponent = (Math.random() * 2 - 1) * CONFIG.CHART_VOLATILITY;
-  
-  // Add trend component
-  const trendComponent = currentTrend * trendStrength * CONFIG.CHART_VOLATILITY * 0.5;
-  
-  // Mean reversion (pull back towards base price)
-  const deviation = (lastPrice - CONFIG.CHART_BASE_PRICE) / CONFIG.CHART_BASE_PRICE;
-  const meanReversionComponent = -deviation * CONFIG.MEAN_REVERSION_FACTOR * CONFIG.CHART_VOLATILITY;
-  
-  // Occasional strong moves (simulate news events, large orders)
-  if (Math.random() < CONFIG.STRONG_MOVE_PROBABILITY) {
-    randomComponent *= 3;
-  }
-  
-  // Combine all components
-  const totalChange = randomComponent + trendComponent + meanReversionComponent;
-  const newPrice = lastPrice * (1 + totalChange);
-  
-  // Ensure price stays positive and reasonable
-  return parseFloat(Math.max(CONFIG.CHART_BASE_PRICE * 0.5, Math.min(CONFIG.CHART_BASE_PRICE * 2, newPrice)).toFixed(2));
+function isOnTickGrid(price, tick) {
+  return Math.abs(price / tick - Math.round(price / tick)) < 1e-6;
 }
 
 /**
- * Initializes the first candle
+ * Rounds a price onto a tick grid
+ * @param {number} price - Price
+ * @param {number} tick - Tick size
+ * @param {string} direction - 'down', 'up' or 'nearest'
+ * @returns {number} Rounded price
  */
-function initializeCandle() {
-  const now = Date.now();
-  candleStartTime = now;
-  tickCount = 0;
-  
-  currentCandle = {
-    time: Math.floor(now / 1000), // Unix timestamp in seconds
-    open: lastPrice,
-    high: lastPrice,
-    low: lastPrice,
-    close: lastPrice,
-  };
-  
-  console.log(`🕯️  New candle started at ${lastPrice.toFixed(2)} (time: ${currentCandle.time})`);
+function roundToTick(price, tick, direction = 'nearest') {
+  const round = { down: Math.floor, up: Math.ceil, nearest: Math.round }[direction];
+  // Small epsilon so prices already on the grid don't move a tick through float error
+  const epsilon = direction === 'down' ? 1e-9 : direction === 'up' ? -1e-9 : 0;
+  return parseFloat((round(price / tick + epsilon) * tick).toFixed(3));
 }
 
 /**
- * Updates the current candle with a new price tick
- * @param {number} price - New price
+ * Gets a stock's quote state, deriving it from its prices the first time
+ * @param {object} stock - Stock object
+ * @returns {object} { mid, spread } (spread as a fraction of the mid)
  */
-function updateCurrentCandle(price) {
-  if (!currentCandle) {
-    initializeCandle();
+function getQuoteState(stock) {
+  let state = quoteStates.get(stock.symbol_name);
+  if (!state) {
+    const mid = (stock.buy_value + stock.sell_value) / 2;
+    state = { mid, spread: Math.max(CONFIG.MIN_SPREAD, (stock.buy_value - stock.sell_value) / mid) };
+    quoteStates.set(stock.symbol_name, state);
   }
+  return state;
+}
+
+/**
+ * Recalculates buy_change/sell_change against the previous close
+ * @param {object} stock - Stock object
+ */
+function updateQuoteChanges(stock) {
+  stock.buy_change = calculateChange(stock.previous_close, stock.buy_value);
+  stock.sell_change = calculateChange(stock.previous_close, stock.sell_value);
+}
+
+/**
+ * Sets a stock's quote from a mid price and spread: the bid rounds down and the ask rounds up
+ * to the stock's tick size, and the ask always stays at least one tick above the bid
+ * @param {object} stock - Stock object
+ * @param {number} mid - Mid price
+ * @param {number} spread - Spread as a fraction of the mid
+ */
+function setStockQuote(stock, mid, spread) {
+  const state = getQuoteState(stock);
+  state.mid = Math.max(0.001, mid);
+  state.spread = spread;
   
-  currentCandle.close = price;
-  currentCandle.high = Math.max(currentCandle.high, price);
-  currentCandle.low = Math.min(currentCandle.low, price);
+  const tick = getTickSize(state.mid, stock.symbol_name);
+  const halfSpread = state.mid * spread / 2;
+  const bid = Math.max(tick, roundToTick(state.mid - halfSpread, tick, 'down'));
+  const ask = Math.max(parseFloat((bid + tick).toFixed(3)), roundToTick(state.mid + halfSpread, tick, 'up'));
   
-  tickCount++;
+  stock.buy_value = ask;
+  stock.sell_value = bid;
+  stock.tick_size = tick;
+  updateQuoteChanges(stock);
 }
 
 /**
- * Checks if it's time to complete the current candle and start a new one
- * @returns {boolean} True if candle should be completed
+ * Moves a spread one step: mean-reverting noise kept inside MIN_SPREAD..MAX_SPREAD
+ * @param {number} spread - Current spread (fraction of the mid)
+ * @returns {number} New spread
  */
-function shouldCompleteCandle() {
-  const now = Date.now();
-  return (now - candleStartTime) >= CONFIG.CHART_CANDLE_DURATION;
+function nextQuoteSpread(spread) {
+  const range = CONFIG.MAX_SPREAD - CONFIG.MIN_SPREAD;
+  const target = CONFIG.MIN_SPREAD + range / 2;
+  const next = spread + (target - spread) * CONFIG.SPREAD_MEAN_REVERSION + (random() * 2 - 1) * range * CONFIG.SPREAD_VOLATILITY;
+  return Math.max(CONFIG.MIN_SPREAD, Math.min(CONFIG.MAX_SPREAD, next));
 }
 
 /**
- * Completes the current candle and starts a new one
+ * Makes the current prices the previous close of every simulated stock (trading day rollover)
  */
-function completeCandle() {
-  if (currentCandle) {
-    // Ensure OHLC relationships are correct
-    const { open, high, low, close } = currentCandle;
-    
-    // Validate candle data
-    if (high < Math.max(open, close) || low > Math.min(open, close)) {
-      console.warn('⚠️  Invalid candle data detected, fixing...');
-      currentCandle.high = Math.max(open, close, high);
-      currentCandle.low = Math.min(open, close, low);
-    }
-    
-    // Add completed candle to history
-    const completedCandle = { ...currentCandle };
-    chartData.push(completedCandle);
-    
-    const changePercent = ((close - open) / open * 100).toFixed(2);
-    const candleType = close >= open ? '🟢' : '🔴';
-    console.log(`✅ Candle completed: ${candleType} O:${open.toFixed(2)} H:${high.toFixed(2)} L:${low.toFixed(2)} C:${close.toFixed(2)} (${changePercent}%)`);
-    
-    // Keep only last N candles
-    if (chartData.length > CONFIG.CHART_HISTORY_SIZE) {
-      chartData.shift();
-    }
+function rollPreviousCloses() {
+  for (const stock of stockSymbols) {
+    if (isReplaySymbol(stock.symbol_name)) continue;
     
-    // Start new candle
-    lastPrice = currentCandle.close;
-    initializeCandle();
+    stock.previous_close = roundToTick(getStockMidPrice(stock), stock.tick_size);
+    updateQuoteChanges(stock);
+    markStockChanged(stock);
   }
 }
 
+// ============================================
+// VOLUME & DAILY STATISTICS
+// ============================================
+
 /**
- * Generates initial historical chart data with realistic patterns
+ * Creates empty daily statistics (open/high/low/vwap stay null until the day's first trade)
+ * @returns {object} { open, high, low, volume, turnover, vwap }
  */
-function initializeChartData() {
-  console.log('Initializing realistic chart data...');
-  
-  const now = Date.now();
-  const candlesCount = 60; // Generate 60 historical candles
-  
-  chartData = [];
-  let price = CONFIG.CHART_BASE_PRICE;
-  
-  // Create some initial trend
-  currentTrend = Math.random() > 0.5 ? 1 : -1;
-  trendStrength = Math.random() * 0.5 + 0.3;
-  
-  for (let i = candlesCount; i > 0; i--) {
-    const candleTime = Math.floor((now - (i * CONFIG.CHART_CANDLE_DURATION)) / 1000);
-    
-    // Simulate multiple ticks within the candle for realistic OHLC
-    const ticksInCandle = CONFIG.CHART_TICKS_PER_CANDLE;
-    const open = price;
-    let high = open;
-    let low = open;
-    let close = open;
-    
-    for (let tick = 0; tick < ticksInCandle; tick++) {
-      const tickPrice = generateRealisticPrice(close);
-      close = tickPrice;
-      high = Math.max(high, tickPrice);
-      low = Math.min(low, tickPrice);
-    }
-    
-    // Add some wick to make candles more realistic
-    const wickSize = (high - low) * 0.1;
-    high = high + wickSize * Math.random();
-    low = low - wickSize * Math.random();
-    
-    chartData.push({
-      time: candleTime,
-      open: parseFloat(open.toFixed(2)),
-      high: parseFloat(high.toFixed(2)),
-      low: parseFloat(low.toFixed(2)),
-      close: parseFloat(close.toFixed(2)),
-    });
-    
-    price = close;
-    
-    // Change trend occasionally during history generation
-    if (Math.random() < 0.1) {
-      currentTrend = Math.random() > 0.5 ? 1 : -1;
-      trendStrength = Math.random() * 0.5 + 0.3;
-    }
-  }
-  
-  lastPrice = price;
-  initializeCandle();
-  
-  console.log(`Chart data initialized with ${chartData.length} realistic candles`);
-  console.log(`Starting price: ${CONFIG.CHART_BASE_PRICE}, Current price: ${lastPrice.toFixed(2)}`);
-  console.log(`Initial trend: ${currentTrend === 1 ? 'Bullish' : 'Bearish'} (strength: ${trendStrength.toFixed(2)})`);
+function createDailyStats() {
+  return { open: null, high: null, low: null, volume: 0, turnover: 0, vwap: null };
 }
 
 /**
- * Updates chart data with realistic price movement
+ * Clears a stock's daily statistics
+ * @param {object} stock - Stock object
  */
-function updateChartData() {
-  // Generate new realistic price
-  const newPrice = generateRealisticPrice(lastPrice);
-  
-  // Update current candle
-  updateCurrentCandle(newPrice);
-  
-  // Check if we should complete the candle
-  if (shouldCompleteCandle()) {
-    completeCandle();
-  }
-  
-  lastPrice = newPrice;
+function resetDailyStats(stock) {
+  Object.assign(stock, createDailyStats());
+  markStockChanged(stock);
 }
 
 /**
- * Sends initial chart data to a specific client (all historical + current candle)
- * @param {object} socket - Socket.io socket object
+ * Clears the daily statistics of every simulated stock (trading day rollover)
  */
-function sendInitialChartData(socket) {
-  const initialChartData = [...chartData];
-  if (currentCandle) {
-    initialChartData.push(currentCandle);
+function resetAllDailyStats() {
+  for (const stock of stockSymbols) {
+    if (!isReplaySymbol(stock.symbol_name)) {
+      resetDailyStats(stock);
+    }
   }
-  
-  console.log(`📊 Sending initial chart data to ${socket.id}: ${initialChartData.length} candles`);
-  socket.emit('chart_update', initialChartData);
-  
-  // Mark this client as having received initial data
-  clientChartStatus.set(socket.id, true);
 }
 
 /**
- * Broadcasts chart update to clients (only current candle for those who have initial data)
+ * Draws the quantity traded with a simulated price tick: exponential around
+ * CONFIG.TICK_VOLUME_MEAN shares, in whole lots (at least one)
+ * @param {object} stock - Stock object
+ * @returns {number} Quantity
  */
-function broadcastChartUpdate() {
-  if (!currentCandle) return;
-  
-  // For clients who have received initial data, send only the current candle
-  io.sockets.sockets.forEach((socket) => {
-    if (clientChartStatus.get(socket.id)) {
-      // Client has initial data - send only current candle for incremental update
-      socket.emit('chart_update', [currentCandle]);
-    } else {
-      // Client hasn't received initial data yet - send full history
-      sendInitialChartData(socket);
-    }
-  });
+function nextTickVolume(stock) {
+  const lotSize = getLotSize(stock.symbol_name);
+  const shares = -Math.log(1 - random()) * CONFIG.TICK_VOLUME_MEAN;
+  return Math.max(1, Math.round(shares / lotSize)) * lotSize;
 }
 
 /**
- * Clears chart data to reduce memory
+ * Adds traded quantity to a chart's current candles
+ * @param {object} chart - Chart state
+ * @param {number} quantity - Quantity traded
+ * @param {number} time - Time of the trade in milliseconds (default: now)
  */
-function clearChartData() {
-  console.log('Clearing chart data...');
-  chartData = [];
-  currentCandle = null;
-  candleStartTime = null;
-  lastPrice = CONFIG.CHART_BASE_PRICE;
-  currentTrend = 0;
-  trendStrength = 0;
-  tickCount = 0;
-  clientChartStatus.clear();
+function addCandleVolume(chart, quantity, time = now()) {
+  // Replayed charts roll over on data time, when their ticks arrive
+  if (!chart.replay) {
+    rollChartCandles(chart, time);
+  }
+  for (const series of Object.values(chart.series)) {
+    series.currentCandle.volume += quantity;
+  }
+}
+
+/**
+ * Records a trade: prints it to the tape, updates the stock's daily statistics and adds
+ * the quantity to its candles and (on the next index update) to its indices' candles
+ * @param {object} stock - Stock object
+ * @param {object} trade - { price, quantity, side } (side is the aggressor's)
+ * @param {number} time - Time of the trade in milliseconds (default: now)
+ */
+function recordTrade(stock, trade, time = now()) {
+  if (!stock || !trade || !(trade.quantity > 0)) return;
+  
+  const { price, quantity } = trade;
+  printTrade(stock, trade, time);
+  
+  stock.open = stock.open ?? price;
+  stock.high = Math.max(stock.high ?? price, price);
+  stock.low = Math.min(stock.low ?? price, price);
+  stock.volume += quantity;
+  stock.turnover = parseFloat((stock.turnover + price * quantity).toFixed(2));
+  stock.vwap = parseFloat((stock.turnover / stock.volume).toFixed(3));
+  markStockChanged(stock);
+  
+  const chart = symbolCharts.get(stock.symbol_name);
+  if (chart) {
+    addCandleVolume(chart, quantity, time);
+  }
+  
+  if (!isReplaySymbol(stock.symbol_name)) {
+    for (const indexId of [COMPOSITE_INDEX, stock.sector].filter(Boolean)) {
+      pendingIndexVolumes.set(indexId, (pendingIndexVolumes.get(indexId) || 0) + quantity);
+    }
+  }
 }
 
 // ============================================
-// INITIALIZATION
+// TIME & SALES (TRADE TAPE)
 // ============================================
 
 /**
- * Initializes all stock symbols with default values
+ * Simulates the trade printed with a price tick: the aggressor follows the move (buyers lift
+ * the price, sellers hit it; a coin flip if it didn't move) and trades between the mid and
+ * the side of the spread it takes, on the tick grid
+ * @param {object} stock - Stock object with its new quote
+ * @param {number} previousMid - Mid price before the tick
+ * @returns {object} Trade { price, quantity, side }
  */
-function initializeStocks() {
-  console.log(`Initializing ${CONFIG.TOTAL_SYMBOLS} stock symbols...`);
+function simulateTickTrade(stock, previousMid) {
+  const mid = getStockMidPrice(stock);
+  const side = mid > previousMid ? 'buy' : mid < previousMid ? 'sell' : (random() < 0.5 ? 'buy' : 'sell');
+  const edge = side === 'buy' ? stock.buy_value : stock.sell_value;
+  const price = roundToTick(mid + (edge - mid) * random(), stock.tick_size);
   
-  stockSymbols = Array.from({ length: CONFIG.TOTAL_SYMBOLS }, (_, index) => {
-    const buyPrice = generateInitialPrice();
-    const sellPrice = generateSellPrice(buyPrice);
+  return {
+    price: Math.min(stock.buy_value, Math.max(stock.sell_value, price)),
+    quantity: nextTickVolume(stock),
+    side
+  };
+}
+
+/**
+ * Appends a trade to its symbol's tape and queues it for the next table_update
+ * @param {object} stock - Stock object
+ * @param {object} trade - { price, quantity, side }
+ * @param {number} time - Time of the trade in milliseconds
+ */
+function printTrade(stock, trade, time) {
+  const row = {
+    trade_id: nextTradeId++,
+    symbol_code: stock.symbol_name,
+    symbol_name: stock.name,
+    price: trade.price.toFixed(4),
+    change: calculateChange(stock.previous_close, trade.price),
+    last_order_value: (trade.price * trade.quantity).toFixed(2),
+    last_order_qty: trade.quantity,
+    aggressor_side: trade.side,
+    timestamp: time
+  };
+  
+  let tape = tradeTapes.get(stock.symbol_name);
+  if (!tape) {
+    tape = [];
+    tradeTapes.set(stock.symbol_name, tape);
+  }
+  tape.push(row);
+  if (tape.length > CONFIG.TAPE_HISTORY_SIZE) {
+    tape.shift();
+  }
+  pendingTapeTrades.push(row);
+}
+
+/**
+ * Gets a symbol's most recent trades
+ * @param {string} symbolName - Stock symbol
+ * @param {number} limit - Maximum number of trades
+ * @returns {Array<object>} Trades, newest first
+ */
+function getTape(symbolName, limit = CONFIG.TAPE_HISTORY_SIZE) {
+  return (tradeTapes.get(symbolName) || []).slice(-limit).reverse();
+}
+
+/**
+ * Filters trades down to a client's subscribed symbols
+ * @param {object} subscription - Client subscription
+ * @param {Array<object>} trades - Tape rows
+ * @returns {Array<object>} Subscribed trades
+ */
+function getSubscribedTrades(subscription, trades) {
+  if (subscription.all) return trades;
+  
+  const tradedSymbols = new Set(trades.map(trade => trade.symbol_code));
+  const tradedStocks = stockSymbols.filter(stock => tradedSymbols.has(stock.symbol_name));
+  const symbols = new Set(getSubscribedStocks(subscription, tradedStocks).map(stock => stock.symbol_name));
+  return trades.filter(trade => symbols.has(trade.symbol_code));
+}
+
+/**
+ * Sends a client the most recent trades on its subscribed symbols (up to TAPE_HISTORY_SIZE, oldest first)
+ * Carries the seq of the last batch, so the next batch is seq + 1
+ * @param {object} socket - Socket.io socket object
+ */
+function sendTapeSnapshot(socket) {
+  const subscription = clientStockSubscriptions.get(socket.id);
+  const trades = getSubscribedStocks(subscription)
+    .flatMap(stock => tradeTapes.get(stock.symbol_name) || [])
+    .sort((a, b) => a.trade_id - b.trade_id)
+    .slice(-CONFIG.TAPE_HISTORY_SIZE);
+  
+  socket.emit('table_update', { seq: getStreamSeq('table'), type: 'snapshot', trades });
+}
+
+/**
+ * Sends each client the trades printed since the last batch on its subscribed symbols
+ * Every client gets each batch (possibly empty) so sequence numbers stay contiguous
+ * ("all" subscribers share one room broadcast, the rest get filtered lists)
+ */
+function broadcastTapeUpdates() {
+  if (pendingTapeTrades.length === 0) return;
+  const trades = pendingTapeTrades;
+  pendingTapeTrades = [];
+  
+  const batch = { seq: nextStreamSeq('table'), type: 'delta', trades };
+  recordStreamMessage('table', batch);
+  emitToRoom(STOCKS_ALL_ROOM, 'table_update', batch);
+  
+  for (const [socketId, subscription] of clientStockSubscriptions) {
+    if (subscription.all) continue;
     
-    return {
-      symbol_name: generateSymbol(index),
-      buy_value: buyPrice,
-      name: generateCompanyName(),
-      buy_change: '+0.00%',
-      sell_value: sellPrice,
-      sell_change: '+0.00%'
+    emitToClient(socketId, 'table_update', { ...batch, trades: getSubscribedTrades(subscription, trades) });
+  }
+}
+
+/**
+ * Clears every symbol's tape and the trades waiting to be sent
+ */
+function clearTapes() {
+  tradeTapes.clear();
+  pendingTapeTrades = [];
+}
+
+// ============================================
+// REALISTIC CHART FUNCTIONS
+// ============================================
+
+/**
+ * Returns the room name used for a symbol's chart subscribers on one timeframe
+ * @param {string} symbolName - Stock symbol
+ * @param {string} interval - Chart interval (e.g. '1m')
+ * @returns {string} Socket.io room name
+ */
+function chartRoom(symbolName, interval) {
+  return `chart:${symbolName}:${interval}`;
+}
+
+/**
+ * Gets the duration of a chart interval
+ * @param {string} interval - Chart interval (e.g. '5m')
+ * @returns {number|undefined} Duration in milliseconds, undefined if not supported
+ */
+function getIntervalDuration(interval) {
+  return CONFIG.CHART_INTERVALS[interval];
+}
+
+/**
+ * Gets the start of the clock-aligned bucket a time falls into
+ * Daily buckets start at midnight in CONFIG.SESSION_TIMEZONE, so a daily candle covers one trading day
+ * @param {number} time - Time in milliseconds
+ * @param {number} durationMs - Bucket duration in milliseconds
+ * @returns {number} Bucket start in milliseconds
+ */
+function getBucketStart(time, durationMs) {
+  if (durationMs === getIntervalDuration('1D')) {
+    return getSessionDayStart(time);
+  }
+  return Math.floor(time / durationMs) * durationMs;
+}
+
+/**
+ * Gets the price a stock's chart is built from (mid of buy and sell)
+ * @param {object} stock - Stock object
+ * @returns {number} Mid price
+ */
+function getStockMidPrice(stock) {
+  const quote = quoteStates.get(stock.symbol_name);
+  const mid = quote ? quote.mid : (stock.buy_value + stock.sell_value) / 2;
+  return parseFloat(mid.toFixed(3));
+}
+
+/**
+ * Updates a chart's trend with realistic behavior
+ * @param {object} chart - Symbol chart state
+ */
+function updateMarketTrend(chart) {
+  // Random trend changes
+  if (random() < CONFIG.TREND_CHANGE_PROBABILITY) {
+    const trends = [-1, 0, 1];
+    chart.trend = trends[Math.floor(random() * trends.length)];
+    chart.trendStrength = random() * 0.5 + 0.3; // 0.3 to 0.8
+  }
+  
+  // Gradually decay trend strength
+  chart.trendStrength *= 0.98;
+}
+
+/**
+ * Generates a realistic price based on market conditions
+ * @param {object} chart - Symbol chart state (provides trend and base price)
+ * @param {number} lastPrice - Previous price
+ * @param {number} volatility - Volatility per tick (default: CONFIG.CHART_VOLATILITY)
+ * @returns {number} New price
+ */
+function generateRealisticPrice(chart, lastPrice, volatility = CONFIG.CHART_VOLATILITY) {
+  updateMarketTrend(chart);
+  
+  const basePrice = chart.basePrice;
+  
+  // Base random walk
+  let randomComponent = (random() * 2 - 1) * volatility;
+  
+  // Add trend component
+  const trendComponent = chart.trend * chart.trendStrength * volatility * 0.5;
+  
+  // Mean reversion (pull back towards base price)
+  const deviation = (lastPrice - basePrice) / basePrice;
+  const meanReversionComponent = -deviation * CONFIG.MEAN_REVERSION_FACTOR * volatility;
+  
+  // Occasional strong moves (simulate news events, large orders)
+  if (random() < CONFIG.STRONG_MOVE_PROBABILITY) {
+    randomComponent *= 3;
+  }
+  
+  // Combine all components
+  const totalChange = randomComponent + trendComponent + meanReversionComponent;
+  const newPrice = lastPrice * (1 + totalChange);
+  
+  // Ensure price stays positive and reasonable
+  return parseFloat(Math.max(basePrice * 0.5, Math.min(basePrice * 2, newPrice)).toFixed(3));
+}
+
+/**
+ * Starts a new candle in the bucket containing the given time, opening at the last price
+ * @param {object} series - Candle series for one interval
+ * @param {number} durationMs - Interval duration in milliseconds
+ * @param {number} price - Opening price
+ * @param {number} time - Time in milliseconds (default: now)
+ */
+function initializeCandle(series, durationMs, price, time = now()) {
+  const bucketStart = getBucketStart(time, durationMs);
+  series.candleStartTime = bucketStart;
+  series.tickCount = 0;
+  
+  series.currentCandle = {
+    time: Math.floor(bucketStart / 1000), // Unix timestamp in seconds
+    open: price,
+    high: price,
+    low: price,
+    close: price,
+    volume: 0
+  };
+}
+
+/**
+ * Updates a series' current candle with a new price tick
+ * @param {object} series - Candle series for one interval
+ * @param {number} price - New price
+ */
+function updateCurrentCandle(series, price) {
+  const candle = series.currentCandle;
+  candle.close = price;
+  candle.high = Math.max(candle.high, price);
+  candle.low = Math.min(candle.low, price);
+  
+  series.tickCount++;
+}
+
+/**
+ * Checks if the current candle's bucket has ended
+ * @param {object} series - Candle series for one interval
+ * @param {number} durationMs - Interval duration in milliseconds
+ * @param {number} time - Time in milliseconds (default: now)
+ * @returns {boolean} True if candle should be completed
+ */
+function shouldCompleteCandle(series, durationMs, time = now()) {
+  // Compared by bucket, as local days aren't all 24 hours long
+  return getBucketStart(time, durationMs) > series.candleStartTime;
+}
+
+/**
+ * Completes a series' current candle and starts a new one in the current bucket
+ * @param {object} series - Candle series for one interval
+ * @param {number} durationMs - Interval duration in milliseconds
+ * @param {number} time - Time in milliseconds (default: now)
+ */
+function completeCandle(series, durationMs, time = now()) {
+  if (series.currentCandle) {
+    // Ensure OHLC relationships are correct
+    const { open, high, low, close } = series.currentCandle;
+    
+    // Validate candle data
+    if (high < Math.max(open, close) || low > Math.min(open, close)) {
+      console.warn('⚠️  Invalid candle data detected, fixing...');
+      series.currentCandle.high = Math.max(open, close, high);
+      series.currentCandle.low = Math.min(open, close, low);
+    }
+    
+    // Add completed candle to history
+    const completedCandle = { ...series.currentCandle };
+    series.candles.push(completedCandle);
+    series.completedSinceBroadcast.push(completedCandle);
+    
+    // Keep only last N candles
+    if (series.candles.length > CONFIG.CHART_HISTORY_SIZE) {
+      series.candles.shift();
+    }
+    
+    // Start new candle
+    initializeCandle(series, durationMs, completedCandle.close, time);
+  }
+}
+
+/**
+ * Generates historical candles with realistic patterns that end at the given price
+ * Longer timeframes get wider candles (log-scaled so daily bars stay plausible)
+ * @param {object} chart - Symbol chart state (provides trend and base price)
+ * @param {number} anchorPrice - Price the history should lead up to
+ * @param {string} interval - Chart interval
+ * @returns {Array<object>} Historical candles, oldest first
+ */
+function generateHistoricalCandles(chart, anchorPrice, interval) {
+  const durationMs = getIntervalDuration(interval);
+  const bucketStart = getBucketStart(now(), durationMs);
+  const candlesCount = 60; // Generate 60 historical candles
+  const baseDuration = getIntervalDuration(CONFIG.CHART_DEFAULT_INTERVAL);
+  const volatility = CONFIG.CHART_VOLATILITY * (1 + Math.log10(Math.max(1, durationMs / baseDuration)));
+  const expectedTicks = durationMs / CONFIG.UPDATE_INTERVAL * CONFIG.STOCKS_TO_UPDATE / Math.max(1, CONFIG.TOTAL_SYMBOLS);
+  
+  const candles = [];
+  let price = anchorPrice;
+  
+  // Create some initial trend
+  chart.trend = random() > 0.5 ? 1 : -1;
+  chart.trendStrength = random() * 0.5 + 0.3;
+  
+  for (let i = candlesCount; i > 0; i--) {
+    const candleTime = Math.floor((bucketStart - (i * durationMs)) / 1000);
+    
+    // Simulate multiple ticks within the candle for realistic OHLC
+    const ticksInCandle = CONFIG.CHART_TICKS_PER_CANDLE;
+    const open = price;
+    let high = open;
+    let low = open;
+    let close = open;
+    
+    for (let tick = 0; tick < ticksInCandle; tick++) {
+      const tickPrice = generateRealisticPrice(chart, close, volatility);
+      close = tickPrice;
+      high = Math.max(high, tickPrice);
+      low = Math.min(low, tickPrice);
+    }
+    
+    // Add some wick to make candles more realistic
+    const wickSize = (high - low) * 0.1;
+    high = high + wickSize * random();
+    low = low - wickSize * random();
+    
+    // Volume the live feed would trade in a bucket this long, +/- 50%
+    const volume = Math.round(expectedTicks * CONFIG.TICK_VOLUME_MEAN * (0.5 + random()));
+    
+    candles.push({ time: candleTime, open, high, low, close, volume });
+    
+    price = close;
+    
+    // Change trend occasionally during history generation
+    if (random() < 0.1) {
+      chart.trend = random() > 0.5 ? 1 : -1;
+      chart.trendStrength = random() * 0.5 + 0.3;
+    }
+  }
+  
+  // Rescale the walk so the last close lines up with the live price
+  const scale = anchorPrice / price;
+  return candles.map(candle => ({
+    time: candle.time,
+    open: parseFloat((candle.open * scale).toFixed(3)),
+    high: parseFloat((candle.high * scale).toFixed(3)),
+    low: parseFloat((candle.low * scale).toFixed(3)),
+    close: parseFloat((candle.close * scale).toFixed(3)),
+    volume: candle.volume
+  }));
+}
+
+/**
+ * Creates chart state with one candle series per interval
+ * @param {number} price - Current price
+ * @param {object} options - { backfill: generate synthetic history (default true), time: start time (default now) }
+ * @returns {object} Chart state
+ */
+function createChart(price, { backfill = true, time = now() } = {}) {
+  const chart = {
+    lastPrice: price,
+    basePrice: price,
+    trend: 0,
+    trendStrength: 0,
+    series: {}
+  };
+  
+  for (const [interval, durationMs] of Object.entries(CONFIG.CHART_INTERVALS)) {
+    const series = {
+      candles: backfill ? generateHistoricalCandles(chart, price, interval) : [],
+      currentCandle: null,
+      candleStartTime: null,
+      tickCount: 0,
+      completedSinceBroadcast: []
     };
+    initializeCandle(series, durationMs, price, time);
+    chart.series[interval] = series;
+  }
+  
+  return chart;
+}
+
+/**
+ * Creates chart state for a stock
+ * @param {object} stock - Stock object
+ * @param {object} options - { backfill: generate synthetic history (default true), time: start time (default now) }
+ * @returns {object} Symbol chart state
+ */
+function createSymbolChart(stock, { backfill = true, time = now() } = {}) {
+  const chart = createChart(getStockMidPrice(stock), { backfill, time });
+  chart.replay = !backfill; // Replayed charts roll over on data time, not the simulation clock
+  return chart;
+}
+
+/**
+ * Generates initial historical chart data for every stock symbol
+ */
+function initializeChartData() {
+  const intervals = Object.keys(CONFIG.CHART_INTERVALS);
+  console.log(`Initializing realistic chart data for ${stockSymbols.length} symbols (${intervals.join(', ')})...`);
+  
+  symbolCharts.clear();
+  for (const stock of stockSymbols) {
+    symbolCharts.set(stock.symbol_name, createSymbolChart(stock));
+  }
+  
+  console.log(`Chart data initialized for ${symbolCharts.size} symbols`);
+}
+
+/**
+ * Completes a chart's candles whose time bucket has ended
+ * @param {object} chart - Symbol chart state
+ * @param {number} time - Time in milliseconds (default: now)
+ */
+function rollChartCandles(chart, time = now()) {
+  for (const [interval, series] of Object.entries(chart.series)) {
+    const durationMs = getIntervalDuration(interval);
+    if (shouldCompleteCandle(series, durationMs, time)) {
+      completeCandle(series, durationMs, time);
+    }
+  }
+}
+
+/**
+ * Feeds a stock's latest price tick into every timeframe of its chart
+ * A tick in a later bucket first completes the candle of the previous one
+ * @param {object} stock - Stock object that was just updated
+ * @param {number} time - Time of the tick in milliseconds (default: now)
+ */
+function recordChartTick(stock, time = now()) {
+  const chart = symbolCharts.get(stock.symbol_name);
+  if (!chart) return;
+  
+  const price = getStockMidPrice(stock);
+  rollChartCandles(chart, time);
+  for (const series of Object.values(chart.series)) {
+    updateCurrentCandle(series, price);
+  }
+  chart.lastPrice = price;
+}
+
+/**
+ * Completes any candles whose time bucket has ended (replayed charts roll over during replay)
+ */
+function updateChartData() {
+  for (const chart of symbolCharts.values()) {
+    if (!chart.replay) {
+      rollChartCandles(chart);
+    }
+  }
+}
+
+/**
+ * Gets a symbol's full chart for one interval (all historical candles + current candle)
+ * @param {object} chart - Symbol chart state
+ * @param {string} interval - Chart interval (default: CONFIG.CHART_DEFAULT_INTERVAL)
+ * @returns {Array<object>} Candles, oldest first
+ */
+function getChartSnapshot(chart, interval = CONFIG.CHART_DEFAULT_INTERVAL) {
+  const series = chart.series[interval];
+  const snapshot = [...series.candles];
+  if (series.currentCandle) {
+    snapshot.push(series.currentCandle);
+  }
+  return snapshot;
+}
+
+/**
+ * Sends a symbol's initial chart data to a specific client and subscribes it to that timeframe
+ * (replacing any other timeframe the client had selected for the symbol)
+ * @param {object} socket - Socket.io socket object
+ * @param {string} symbolName - Symbol to send the chart for
+ * @param {string} interval - Chart interval
+ */
+function sendInitialChartData(socket, symbolName, interval) {
+  const chart = symbolCharts.get(symbolName);
+  if (!chart) {
+    socket.emit('chart_error', { symbol_name: symbolName, interval, message: `Unknown symbol: ${symbolName}` });
+    return;
+  }
+  if (!getIntervalDuration(interval)) {
+    socket.emit('chart_error', {
+      symbol_name: symbolName,
+      interval,
+      message: `Unsupported interval: ${interval} (supported: ${Object.keys(CONFIG.CHART_INTERVALS).join(', ')})`
+    });
+    return;
+  }
+  
+  const initialChartData = getChartSnapshot(chart, interval);
+  
+  console.log(`📊 Sending initial chart data to ${socket.id} for ${symbolName} (${interval}): ${initialChartData.length} candles`);
+  socket.emit('chart_update', {
+    symbol_name: symbolName,
+    interval,
+    seq: getStreamSeq(chartRoom(symbolName, interval)),
+    type: 'snapshot',
+    data: initialChartData
   });
   
-  console.log('Stock symbols initialized successfully');
+  joinChartRoom(socket, symbolName, interval);
+}
+
+/**
+ * Subscribes a client to incremental updates for a symbol's selected timeframe
+ * (replacing the timeframe it followed for the symbol before)
+ * @param {object} socket - Socket.io socket object
+ * @param {string} symbolName - Stock symbol
+ * @param {string} interval - Chart interval
+ */
+function joinChartRoom(socket, symbolName, interval) {
+  stopChartUpdatesForClient(socket, symbolName);
+  socket.join(chartRoom(symbolName, interval));
+  if (!clientChartStatus.has(socket.id)) {
+    clientChartStatus.set(socket.id, new Map());
+  }
+  clientChartStatus.get(socket.id).set(symbolName, interval);
+}
+
+/**
+ * Sends a chart_update to a symbol timeframe's subscribers and buffers it for resync
+ * Once nobody has been subscribed for the grace period, updates stop and the stream
+ * moves on so nobody replays across the gap
+ * @param {string} symbolName - Stock symbol
+ * @param {string} interval - Chart interval
+ * @param {Array<object>} data - Candles
+ * @param {boolean} reset - Whether data is a full snapshot replacing the client's candles
+ */
+function publishChartUpdate(symbolName, interval, data, reset = false) {
+  const room = chartRoom(symbolName, interval);
+  if (!isStreamRetained(room, roomHasClients(room))) {
+    if (streamBuffers.has(room)) {
+      advanceStream(room);
+    }
+    return;
+  }
+  
+  const payload = { symbol_name: symbolName, interval, seq: nextStreamSeq(room), type: reset ? 'snapshot' : 'delta', data };
+  if (reset) {
+    payload.reset = true;
+  }
+  recordStreamMessage(room, payload);
+  emitToRoom(room, 'chart_update', payload);
+}
+
+/**
+ * Stops sending a symbol's chart updates to a specific client
+ * @param {object} socket - Socket.io socket object
+ * @param {string} symbolName - Symbol to unsubscribe from
+ */
+function stopChartUpdatesForClient(socket, symbolName) {
+  const symbols = clientChartStatus.get(socket.id);
+  if (symbols && symbols.has(symbolName)) {
+    socket.leave(chartRoom(symbolName, symbols.get(symbolName)));
+    symbols.delete(symbolName);
+  }
+}
+
+/**
+ * Broadcasts chart updates to the clients subscribed to each symbol and timeframe
+ * (candles completed since the last broadcast + current candle)
+ */
+function broadcastChartUpdate() {
+  for (const [symbolName, chart] of symbolCharts) {
+    for (const [interval, series] of Object.entries(chart.series)) {
+      const completed = series.completedSinceBroadcast;
+      series.completedSinceBroadcast = [];
+      
+      if (series.currentCandle) {
+        publishChartUpdate(symbolName, interval, [...completed, series.currentCandle]);
+      }
+    }
+  }
+}
+
+/**
+ * Clears chart data to reduce memory
+ */
+function clearChartData() {
+  console.log('Clearing chart data...');
+  symbolCharts.clear();
+  clientChartStatus.clear();
+}
+
+// ============================================
+// STOCK SUBSCRIPTIONS
+// ============================================
+
+/**
+ * Converts a symbol pattern ('*' and '?' wildcards) into a regular expression
+ * @param {string} pattern - Symbol pattern, e.g. 'ABC.*' or '*.X00??'
+ * @returns {RegExp} Case-insensitive regular expression matching whole symbols
+ */
+function patternToRegex(pattern) {
+  const escaped = pattern
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+/**
+ * Normalizes a subscribe/unsubscribe payload
+ * Accepts 'all', an array of symbols, or { all, symbols, pattern, patterns }
+ * @param {*} payload - Payload sent by the client
+ * @returns {object} { all, symbols, patterns }
+ */
+function parseSubscriptionRequest(payload) {
+  if (payload === 'all') {
+    return { all: true, symbols: [], patterns: [] };
+  }
+  if (Array.isArray(payload)) {
+    return { all: false, symbols: payload.filter(s => typeof s === 'string'), patterns: [] };
+  }
+  
+  const request = payload || {};
+  const patterns = [].concat(request.pattern || [], request.patterns || []);
+  return {
+    all: request.all === true,
+    symbols: Array.isArray(request.symbols) ? request.symbols.filter(s => typeof s === 'string') : [],
+    patterns: patterns.filter(p => typeof p === 'string' && p.length > 0)
+  };
+}
+
+/**
+ * Gives a newly connected client the default "all" stock subscription
+ * (replaced as soon as the client subscribes to specific symbols)
+ * @param {object} socket - Socket.io socket object
+ */
+function initializeStockSubscription(socket) {
+  clientStockSubscriptions.set(socket.id, {
+    all: true,
+    explicit: false,
+    symbols: new Set(),
+    patterns: new Map() // pattern source -> RegExp
+  });
+  socket.join(STOCKS_ALL_ROOM);
+}
+
+/**
+ * Gets the stock subscription a client asked for in its handshake query
+ * (symbols=A,B and/or pattern=P1,P2 - the only way SSE clients can subscribe)
+ * @param {object} socket - Socket.io socket object
+ * @returns {object|null} subscribe payload, or null to keep the default "all" subscription
+ */
+function getHandshakeSubscription(socket) {
+  const { symbols, pattern } = socket.handshake.query;
+  if (!symbols && !pattern) return null;
+  
+  return {
+    symbols: symbols ? String(symbols).split(',').filter(Boolean) : [],
+    pattern: pattern ? String(pattern).split(',').filter(Boolean) : []
+  };
+}
+
+/**
+ * Describes a client's subscription for the subscription_update event
+ * @param {object} subscription - Client subscription
+ * @returns {object} Serializable subscription state
+ */
+function describeStockSubscription(subscription) {
+  return {
+    all: subscription.all,
+    symbols: [...subscription.symbols],
+    patterns: [...subscription.patterns.keys()]
+  };
+}
+
+/**
+ * Adds symbols, patterns or the "all" subscription for a client
+ * @param {object} socket - Socket.io socket object
+ * @param {*} payload - subscribe payload
+ * @returns {object} Subscription state plus any rejected symbols
+ */
+function subscribeStocks(socket, payload) {
+  const subscription = clientStockSubscriptions.get(socket.id);
+  const request = parseSubscriptionRequest(payload);
+  
+  // The first explicit subscription replaces the implicit "all" default
+  if (!subscription.explicit) {
+    subscription.explicit = true;
+    if (!request.all) {
+      subscription.all = false;
+      socket.leave(STOCKS_ALL_ROOM);
+    }
+  }
+  
+  if (request.all) {
+    subscription.all = true;
+    socket.join(STOCKS_ALL_ROOM);
+  }
+  
+  const knownSymbols = new Set(stockSymbols.map(stock => stock.symbol_name));
+  const rejected = [];
+  for (const symbolName of request.symbols) {
+    if (knownSymbols.has(symbolName)) {
+      subscription.symbols.add(symbolName);
+    } else {
+      rejected.push(symbolName);
+    }
+  }
+  
+  for (const pattern of request.patterns) {
+    subscription.patterns.set(pattern, patternToRegex(pattern));
+  }
+  
+  return { ...describeStockSubscription(subscription), rejected };
+}
+
+/**
+ * Removes symbols, patterns or the "all" subscription for a client
+ * @param {object} socket - Socket.io socket object
+ * @param {*} payload - unsubscribe payload
+ * @returns {object} Subscription state
+ */
+function unsubscribeStocks(socket, payload) {
+  const subscription = clientStockSubscriptions.get(socket.id);
+  const request = parseSubscriptionRequest(payload);
+  subscription.explicit = true;
+  
+  if (request.all) {
+    subscription.all = false;
+    socket.leave(STOCKS_ALL_ROOM);
+  }
+  for (const symbolName of request.symbols) {
+    subscription.symbols.delete(symbolName);
+  }
+  for (const pattern of request.patterns) {
+    subscription.patterns.delete(pattern);
+  }
+  
+  return describeStockSubscription(subscription);
+}
+
+/**
+ * Gets the stocks a client is subscribed to
+ * @param {object} subscription - Client subscription
+ * @param {Array<object>} stocks - Stocks to filter (default: all stock symbols)
+ * @returns {Array<object>} Subscribed stocks, in the order given
+ */
+function getSubscribedStocks(subscription, stocks = stockSymbols) {
+  if (subscription.all) {
+    return stocks;
+  }
+  
+  const patterns = [...subscription.patterns.values()];
+  return stocks.filter(stock =>
+    subscription.symbols.has(stock.symbol_name) ||
+    patterns.some(regex => regex.test(stock.symbol_name))
+  );
+}
+
+/**
+ * Marks a stock as changed since the last broadcast
+ * @param {object} stock - Stock object that was just updated
+ */
+function markStockChanged(stock) {
+  changedStockSymbols.add(stock.symbol_name);
+}
+
+/**
+ * Sends a client a full snapshot of its subscribed stocks
+ * Carries the sequence number of the last delta, so the next delta is seq + 1
+ * @param {object} socket - Socket.io socket object
+ */
+function sendStockSnapshot(socket) {
+  const subscription = clientStockSubscriptions.get(socket.id);
+  socket.emit('stock_update', {
+    seq: getStreamSeq('stocks'),
+    type: 'snapshot',
+    stocks: getSubscribedStocks(subscription)
+  });
+}
+
+/**
+ * Sends each client the subscribed stocks that changed since the last broadcast
+ * Every client gets a delta each cycle (possibly empty) so sequence numbers stay contiguous
+ * ("all" subscribers share one room broadcast, the rest get filtered lists)
+ */
+function broadcastStockUpdates() {
+  // Copies, so the replay buffer keeps the values as they were sent
+  const changedStocks = stockSymbols
+    .filter(stock => changedStockSymbols.has(stock.symbol_name))
+    .map(stock => ({ ...stock }));
+  changedStockSymbols.clear();
+  const seq = nextStreamSeq('stocks');
+  
+  const delta = { seq, type: 'delta', stocks: changedStocks };
+  recordStreamMessage('stocks', delta);
+  emitToRoom(STOCKS_ALL_ROOM, 'stock_update', delta);
+  
+  for (const [socketId, subscription] of clientStockSubscriptions) {
+    if (subscription.all) continue;
+    
+    emitToClient(socketId, 'stock_update', {
+      seq,
+      type: 'delta',
+      stocks: getSubscribedStocks(subscription, changedStocks)
+    });
+  }
+  
+  publishFixMarketData(changedStocks);
+}
+
+// ============================================
+// STREAM RESYNC (SEQUENCES & REPLAY BUFFERS)
+// ============================================
+
+/**
+ * Gets a stream's sequence state and replay buffer, creating an empty one
+ * Stream ids: 'stocks', 'table', 'index', 'chart:<symbol>:<interval>' and 'depth:<symbol>' (the room names)
+ * @param {string} streamId - Stream id
+ * @returns {object} { seq, messages: [{ seq, payload }], idleSince }
+ */
+function getStreamBuffer(streamId) {
+  let buffer = streamBuffers.get(streamId);
+  if (!buffer) {
+    buffer = { seq: 0, messages: [], idleSince: null };
+    streamBuffers.set(streamId, buffer);
+  }
+  return buffer;
+}
+
+/**
+ * Gets the seq of a stream's last message (snapshots carry it, so the next message is seq + 1)
+ * @param {string} streamId - Stream id
+ * @returns {number} Sequence number
+ */
+function getStreamSeq(streamId) {
+  return getStreamBuffer(streamId).seq;
+}
+
+/**
+ * Gets the seq the next message on a stream carries
+ * @param {string} streamId - Stream id
+ * @returns {number} Sequence number
+ */
+function nextStreamSeq(streamId) {
+  return getStreamBuffer(streamId).seq + 1;
+}
+
+/**
+ * Records a message sent on a stream so reconnecting clients can replay it
+ * (the buffer keeps the last CONFIG.RESYNC_BUFFER_SIZE messages)
+ * @param {string} streamId - Stream id
+ * @param {object} payload - Message as sent, carrying nextStreamSeq(streamId)
+ */
+function recordStreamMessage(streamId, payload) {
+  const buffer = getStreamBuffer(streamId);
+  buffer.seq = payload.seq;
+  buffer.messages.push({ seq: payload.seq, payload });
+  if (buffer.messages.length > CONFIG.RESYNC_BUFFER_SIZE) {
+    buffer.messages.splice(0, buffer.messages.length - CONFIG.RESYNC_BUFFER_SIZE);
+  }
+}
+
+/**
+ * Advances a stream past a change that isn't buffered (state-only messages, or changes nobody
+ * was subscribed to): clients behind it can no longer replay and get a snapshot instead
+ * @param {string} streamId - Stream id
+ * @returns {number} New sequence number
+ */
+function advanceStream(streamId) {
+  const buffer = getStreamBuffer(streamId);
+  buffer.seq++;
+  buffer.messages = [];
+  return buffer.seq;
+}
+
+/**
+ * Checks whether a subscription stream (chart or depth) keeps buffering: while it has subscribers
+ * and for CONFIG.RESYNC_GRACE_PERIOD after the last one left, so a client that drops briefly can replay
+ * @param {string} streamId - Stream id (its room name)
+ * @param {boolean} listening - Whether the stream's room has subscribers
+ * @returns {boolean} True if messages should still be produced and buffered
+ */
+function isStreamRetained(streamId, listening) {
+  const buffer = streamBuffers.get(streamId);
+  if (listening) {
+    if (buffer) buffer.idleSince = null;
+    return true;
+  }
+  if (!buffer) return false;
+  
+  if (buffer.idleSince === null) {
+    buffer.idleSince = Date.now();
+  }
+  return Date.now() - buffer.idleSince < CONFIG.RESYNC_GRACE_PERIOD;
+}
+
+/**
+ * Advances every stream and empties its buffer (the market was reset or restored)
+ */
+function resetStreams() {
+  for (const streamId of streamBuffers.keys()) {
+    advanceStream(streamId);
+  }
+}
+
+/**
+ * Gets the messages a client missed on a stream since the last seq it saw
+ * @param {string} streamId - Stream id
+ * @param {number} lastSeq - Last seq the client saw
+ * @returns {Array<object>|null} Payloads, oldest first; null if they aren't all buffered any more
+ *   (or the seq is ahead of the stream, e.g. from before a server restart)
+ */
+function getMissedMessages(streamId, lastSeq) {
+  const buffer = streamBuffers.get(streamId);
+  if (!buffer || lastSeq > buffer.seq) return null;
+  if (lastSeq === buffer.seq) return [];
+  
+  const { messages } = buffer;
+  if (messages.length === 0 || messages[0].seq > lastSeq + 1) return null;
+  return messages.filter(message => message.seq > lastSeq).map(message => message.payload);
+}
+
+/**
+ * Gets how a stream is resynced for a client
+ * @param {object} socket - Socket.io socket object
+ * @param {string} streamId - Stream id
+ * @returns {object|null} { snapshot(), replay(payloads) | null (always a snapshot) }, null for unknown streams
+ */
+function getResyncHandler(socket, streamId) {
+  const subscription = clientStockSubscriptions.get(socket.id);
+  
+  if (streamId === 'stocks') {
+    return {
+      snapshot: () => sendStockSnapshot(socket),
+      replay: (payloads) => payloads.forEach(payload => socket.emit('stock_update', {
+        ...payload,
+        stocks: getSubscribedStocks(subscription, payload.stocks)
+      }))
+    };
+  }
+  if (streamId === 'table') {
+    return {
+      snapshot: () => sendTapeSnapshot(socket),
+      replay: (payloads) => payloads.forEach(payload => socket.emit('table_update', {
+        ...payload,
+        trades: getSubscribedTrades(subscription, payload.trades)
+      }))
+    };
+  }
+  if (streamId === 'index') {
+    // Every index_update carries the full state, so the latest one is all a client needs
+    return { snapshot: () => socket.emit('index_update', getIndexUpdate()), replay: null };
+  }
+  
+  const chart = streamId.match(/^chart:(.+):([^:]+)$/);
+  if (chart && symbolCharts.has(chart[1]) && getIntervalDuration(chart[2])) {
+    const [, symbolName, interval] = chart;
+    return {
+      snapshot: () => sendInitialChartData(socket, symbolName, interval),
+      replay: (payloads) => {
+        joinChartRoom(socket, symbolName, interval);
+        payloads.forEach(payload => socket.emit('chart_update', payload));
+      }
+    };
+  }
+  
+  const depth = streamId.match(/^depth:(.+)$/);
+  if (depth && orderBooks.has(depth[1])) {
+    return {
+      snapshot: () => subscribeDepth(socket, depth[1]),
+      replay: (payloads) => {
+        socket.join(depthRoom(depth[1]));
+        payloads.forEach(payload => socket.emit('depth_update', payload));
+      }
+    };
+  }
+  
+  return null;
+}
+
+/**
+ * Resyncs a reconnecting client: for each stream it names with the last seq it saw, the missed
+ * messages are replayed from the buffer, or a snapshot is sent if they aren't all buffered any more.
+ * Chart and depth streams subscribe the client again; an optional subscription is applied first
+ * (without a snapshot) so stocks and table replays are filtered like the client's live feed.
+ * @param {object} socket - Socket.io socket object
+ * @param {object} request - { streams: { <stream id>: <last seq> }, subscription }
+ */
+function resyncClient(socket, request) {
+  const streams = request && request.streams;
+  if (!streams || typeof streams !== 'object' || Array.isArray(streams)) {
+    socket.emit('resync_complete', { error: 'Expected { streams: { <stream id>: <last seq> } }' });
+    return;
+  }
+  
+  if (request.subscription !== undefined) {
+    socket.emit('subscription_update', subscribeStocks(socket, request.subscription));
+  }
+  
+  const results = {};
+  const rejected = [];
+  for (const [streamId, lastSeq] of Object.entries(streams)) {
+    const handler = getResyncHandler(socket, streamId);
+    if (!handler) {
+      rejected.push({ stream: streamId, reason: 'Unknown stream' });
+      continue;
+    }
+    if (!Number.isInteger(lastSeq) || lastSeq < 0) {
+      rejected.push({ stream: streamId, reason: 'last seq must be a whole number' });
+      continue;
+    }
+    
+    const missed = handler.replay ? getMissedMessages(streamId, lastSeq) : null;
+    if (missed) {
+      handler.replay(missed);
+      results[streamId] = { mode: 'replay', replayed: missed.length, seq: getStreamSeq(streamId) };
+    } else {
+      handler.snapshot();
+      results[streamId] = { mode: 'snapshot', seq: getStreamSeq(streamId) };
+    }
+  }
+  
+  console.log(`🔄 Client ${socket.id} resynced ${Object.keys(results).length} streams`);
+  socket.emit('resync_complete', { streams: results, rejected });
+}
+
+// ============================================
+// ORDER BOOK & MATCHING ENGINE
+// ============================================
+
+/**
+ * Creates a simulated liquidity order (no owner, never reported)
+ * @param {string} symbolName - Stock symbol
+ * @param {string} side - 'buy' or 'sell'
+ * @param {number} price - Limit price
+ * @returns {object} Simulated order
+ */
+function createSimulatedOrder(symbolName, side, price) {
+  const size = Math.floor(random() * (CONFIG.ORDER_BOOK_LEVEL_SIZE_MAX - CONFIG.ORDER_BOOK_LEVEL_SIZE_MIN + 1)) + CONFIG.ORDER_BOOK_LEVEL_SIZE_MIN;
+  const lotSize = getLotSize(symbolName);
+  
+  return {
+    simulated: true,
+    symbol_name: symbolName,
+    side,
+    type: 'limit',
+    price,
+    quantity: Math.max(1, Math.round(size / lotSize)) * lotSize, // Whole lots
+    filled_quantity: 0,
+    sequence: nextOrderSequence++
+  };
+}
+
+/**
+ * Gets the quantity of an order still open
+ * @param {object} order - Order
+ * @returns {number} Remaining quantity
+ */
+function remainingQuantity(order) {
+  return order.quantity - order.filled_quantity;
+}
+
+/**
+ * Inserts an order into its side of the book (price, then time priority)
+ * @param {object} book - Order book
+ * @param {object} order - Order to rest
+ */
+function insertOrder(book, order) {
+  const orders = order.side === 'buy' ? book.bids : book.asks;
+  const isBetterPrice = order.side === 'buy'
+    ? (price, restingPrice) => price > restingPrice
+    : (price, restingPrice) => price < restingPrice;
+  
+  let index = orders.findIndex(resting => isBetterPrice(order.price, resting.price));
+  if (index === -1) index = orders.length;
+  orders.splice(index, 0, order);
+  markBookChanged(order.symbol_name);
+}
+
+/**
+ * Removes an order from its side of the book
+ * @param {object} book - Order book
+ * @param {object} order - Order to remove
+ */
+function removeOrder(book, order) {
+  const orders = order.side === 'buy' ? book.bids : book.asks;
+  const index = orders.indexOf(order);
+  if (index !== -1) {
+    orders.splice(index, 1);
+    markBookChanged(order.symbol_name);
+  }
+}
+
+/**
+ * Replaces a book's simulated liquidity with fresh levels around the stock's current prices
+ * Asks rest from buy_value upwards, bids from sell_value downwards, on the symbol's tick grid
+ * @param {object} stock - Stock object
+ * @param {boolean} matchCrossed - Whether client orders the new levels cross are filled at once
+ */
+function refreshSimulatedLiquidity(stock, matchCrossed = true) {
+  const book = orderBooks.get(stock.symbol_name);
+  if (!book) return;
+  
+  book.bids = book.bids.filter(order => !order.simulated);
+  book.asks = book.asks.filter(order => !order.simulated);
+  markBookChanged(stock.symbol_name);
+  
+  const tick = stock.tick_size || 0.001;
+  const bestAsk = roundToTick(stock.buy_value, tick, 'up');
+  const bestBid = roundToTick(stock.sell_value, tick, 'down');
+  
+  // Levels are ORDER_BOOK_LEVEL_STEP of the price apart, but at least one tick and always a whole
+  // number of ticks, so wide-tick symbols don't stack several levels on the same price
+  const levelStep = price => Math.max(1, Math.round(price * CONFIG.ORDER_BOOK_LEVEL_STEP / tick)) * tick;
+  const askStep = levelStep(bestAsk);
+  const bidStep = levelStep(bestBid);
+  
+  // Each level is made of a few simulated orders so depth shows realistic order counts
+  for (let level = 0; level < CONFIG.ORDER_BOOK_LEVELS; level++) {
+    const askLevelPrice = roundToTick(bestAsk + askStep * level, tick);
+    const askOrders = 1 + Math.floor(random() * CONFIG.ORDER_BOOK_ORDERS_PER_LEVEL);
+    for (let i = 0; i < askOrders; i++) {
+      insertOrder(book, createSimulatedOrder(stock.symbol_name, 'sell', askLevelPrice));
+    }
+    
+    // Bid levels end at the lowest tick rather than repeating it
+    const bidLevelPrice = roundToTick(bestBid - bidStep * level, tick);
+    if (bidLevelPrice < tick) continue;
+    const bidOrders = 1 + Math.floor(random() * CONFIG.ORDER_BOOK_ORDERS_PER_LEVEL);
+    for (let i = 0; i < bidOrders; i++) {
+      insertOrder(book, createSimulatedOrder(stock.symbol_name, 'buy', bidLevelPrice));
+    }
+  }
+  
+  // Resting client orders the new prices moved through get filled
+  if (matchCrossed) {
+    matchCrossedBook(book);
+  }
+}
+
+/**
+ * Creates an order book with simulated liquidity for every stock symbol
+ */
+function initializeOrderBooks() {
+  orderBooks.clear();
+  for (const stock of stockSymbols) {
+    orderBooks.set(stock.symbol_name, { bids: [], asks: [] });
+    refreshSimulatedLiquidity(stock);
+  }
+  
+  console.log(`Order books initialized for ${orderBooks.size} symbols`);
+}
+
+/**
+ * Sends an execution report to the owner of a client order
+ * @param {object} order - Order the report is about
+ * @param {string} execType - 'trade', 'cancelled' or 'replaced'
+ * @param {object} details - Extra fields (last_qty, last_price, reason)
+ */
+function sendExecutionReport(order, execType, details = {}) {
+  if (order.simulated) return;
+  
+  emitToRoom(accountRoom(order.owner), 'execution_report', {
+    exec_id: `EXE-${String(nextExecId++).padStart(6, '0')}`,
+    exec_type: execType,
+    order_id: order.order_id,
+    client_order_id: order.client_order_id,
+    symbol_name: order.symbol_name,
+    side: order.side,
+    type: order.type,
+    price: order.price,
+    quantity: order.quantity,
+    status: order.status,
+    cum_qty: order.filled_quantity,
+    leaves_qty: order.status === 'cancelled' ? 0 : remainingQuantity(order),
+    avg_price: order.avg_price,
+    ...details,
+    time: now()
+  });
+}
+
+/**
+ * Applies a fill to an order and reports it
+ * @param {object} order - Filled order
+ * @param {number} quantity - Quantity filled
+ * @param {number} price - Fill price
+ */
+function fillOrder(order, quantity, price) {
+  const previousValue = order.filled_quantity * (order.avg_price || 0);
+  order.filled_quantity += quantity;
+  order.avg_price = parseFloat(((previousValue + quantity * price) / order.filled_quantity).toFixed(3));
+  markBookChanged(order.symbol_name);
+  
+  if (order.simulated) return;
+  
+  order.status = remainingQuantity(order) === 0 ? 'filled' : 'partially_filled';
+  order.updated_at = now();
+  if (order.status === 'filled') {
+    openOrders.delete(order.order_id);
+  }
+  
+  applyFillToAccount(order, quantity, price);
+  sendExecutionReport(order, 'trade', { last_qty: quantity, last_price: price });
+}
+
+/**
+ * Matches an incoming order against the opposite side of the book
+ * Trades happen at the resting order's price
+ * @param {object} book - Order book
+ * @param {object} order - Incoming (aggressor) order
+ */
+function matchOrder(book, order) {
+  const opposite = order.side === 'buy' ? book.asks : book.bids;
+  
+  while (remainingQuantity(order) > 0 && opposite.length > 0) {
+    const resting = opposite[0];
+    const crosses = order.side === 'buy' ? order.price >= resting.price : order.price <= resting.price;
+    if (order.type === 'limit' && !crosses) break;
+    
+    const quantity = Math.min(remainingQuantity(order), remainingQuantity(resting));
+    fillOrder(resting, quantity, resting.price);
+    fillOrder(order, quantity, resting.price);
+    recordTrade(findStock(order.symbol_name), { price: resting.price, quantity, side: order.side });
+    
+    if (remainingQuantity(resting) === 0) {
+      opposite.shift();
+    }
+  }
+}
+
+/**
+ * Fills resting client orders that cross the book after simulated liquidity moved
+ * The client order was resting first, so trades happen at its price
+ * @param {object} book - Order book
+ */
+function matchCrossedBook(book) {
+  while (book.bids.length > 0 && book.asks.length > 0 && book.bids[0].price >= book.asks[0].price) {
+    const bid = book.bids[0];
+    const ask = book.asks[0];
+    if (bid.simulated && ask.simulated) break;
+    
+    const maker = ask.simulated || (!bid.simulated && bid.sequence < ask.sequence) ? bid : ask;
+    const quantity = Math.min(remainingQuantity(bid), remainingQuantity(ask));
+    fillOrder(bid, quantity, maker.price);
+    fillOrder(ask, quantity, maker.price);
+    recordTrade(findStock(bid.symbol_name), { price: maker.price, quantity, side: maker === bid ? 'sell' : 'buy' });
+    
+    if (remainingQuantity(bid) === 0) book.bids.shift();
+    if (remainingQuantity(ask) === 0) book.asks.shift();
+  }
+}
+
+/**
+ * Cancels an order's remaining quantity and reports it
+ * @param {object} order - Order to cancel
+ * @param {string} reason - Why the order was cancelled
+ * @param {boolean} notify - Whether to send an execution report
+ */
+function cancelOrder(order, reason, notify = true) {
+  const book = orderBooks.get(order.symbol_name);
+  if (book) {
+    removeOrder(book, order);
+  }
+  
+  order.status = 'cancelled';
+  order.updated_at = now();
+  openOrders.delete(order.order_id);
+  
+  if (notify) {
+    sendExecutionReport(order, 'cancelled', { reason });
+  }
+}
+
+/**
+ * Validates an order request
+ * @param {object} request - place_order payload
+ * @returns {string|null} Rejection reason, or null if valid
+ */
+function validateOrderRequest(request) {
+  if (!orderBooks.has(request.symbol_name)) {
+    return `Unknown symbol: ${request.symbol_name}`;
+  }
+  if (!isOrderEntryOpen()) {
+    return `Orders are not accepted during the ${session.phase} phase`;
+  }
+  if (isSymbolHalted(request.symbol_name)) {
+    return `Trading in ${request.symbol_name} is halted`;
+  }
+  if (request.side !== 'buy' && request.side !== 'sell') {
+    return 'side must be \'buy\' or \'sell\'';
+  }
+  if (request.type !== 'limit' && request.type !== 'market') {
+    return 'type must be \'limit\' or \'market\'';
+  }
+  if (!Number.isInteger(request.quantity) || request.quantity <= 0 || request.quantity > CONFIG.MAX_ORDER_QUANTITY) {
+    return `quantity must be a whole number between 1 and ${CONFIG.MAX_ORDER_QUANTITY}`;
+  }
+  if (request.quantity % getLotSize(request.symbol_name) !== 0) {
+    return `quantity must be a multiple of the lot size (${getLotSize(request.symbol_name)})`;
+  }
+  if (request.type === 'limit' && !(typeof request.price === 'number' && request.price > 0)) {
+    return 'price must be a positive number for limit orders';
+  }
+  const tick = findStock(request.symbol_name).tick_size;
+  if (request.type === 'limit' && !isOnTickGrid(request.price, tick)) {
+    return `price must be a multiple of the tick size (${tick})`;
+  }
+  if (request.time_in_force !== undefined && !['day', 'ioc'].includes(request.time_in_force)) {
+    return 'time_in_force must be \'day\' or \'ioc\'';
+  }
+  if (session.phase === 'auction' && (request.type !== 'limit' || request.time_in_force === 'ioc')) {
+    return 'Only day limit orders are accepted during the auction call';
+  }
+  return null;
+}
+
+/**
+ * Places a client order: acknowledges it, matches it, then rests or cancels the remainder
+ * (during the auction call it is queued unmatched until the opening uncross)
+ * @param {string} owner - User id of the account placing the order
+ * @param {object} request - { symbol_name, side, type, quantity, price, time_in_force, client_order_id }
+ */
+function placeOrder(owner, request) {
+  const reason = validateOrderRequest(request) || checkAccountCapacity(owner, request);
+  if (reason) {
+    emitToRoom(accountRoom(owner), 'order_reject', {
+      request: 'place',
+      client_order_id: request.client_order_id,
+      symbol_name: request.symbol_name,
+      reason
+    });
+    return;
+  }
+  
+  const order = {
+    order_id: `ORD-${String(nextOrderId++).padStart(6, '0')}`,
+    client_order_id: request.client_order_id || null,
+    owner,
+    symbol_name: request.symbol_name,
+    side: request.side,
+    type: request.type,
+    price: request.type === 'limit' ? parseFloat(request.price.toFixed(3)) : null,
+    quantity: request.quantity,
+    time_in_force: request.time_in_force || 'day',
+    filled_quantity: 0,
+    avg_price: null,
+    status: 'new',
+    sequence: nextOrderSequence++,
+    created_at: now(),
+    updated_at: now()
+  };
+  openOrders.set(order.order_id, order);
+  
+  emitToRoom(accountRoom(owner), 'order_ack', {
+    order_id: order.order_id,
+    client_order_id: order.client_order_id,
+    symbol_name: order.symbol_name,
+    side: order.side,
+    type: order.type,
+    price: order.price,
+    quantity: order.quantity,
+    time_in_force: order.time_in_force,
+    status: order.status,
+    time: order.created_at
+  });
+  
+  const book = orderBooks.get(order.symbol_name);
+  if (session.phase === 'auction') {
+    insertOrder(book, order);
+    return;
+  }
+  matchOrder(book, order);
+  
+  if (remainingQuantity(order) === 0) return;
+  
+  if (order.type === 'market' || order.time_in_force === 'ioc') {
+    cancelOrder(order, order.type === 'market' ? 'No liquidity for remaining quantity' : 'Immediate-or-cancel remainder');
+  } else {
+    insertOrder(book, order);
+  }
+}
+
+/**
+ * Finds an open order belonging to an owner by order_id or client_order_id
+ * @param {string} owner - Order owner
+ * @param {object} request - { order_id } or { client_order_id }
+ * @returns {object|null} Open order
+ */
+function findOpenOrder(owner, request) {
+  for (const order of openOrders.values()) {
+    if (order.owner !== owner) continue;
+    if ((request.order_id && order.order_id === request.order_id) ||
+        (!request.order_id && request.client_order_id && order.client_order_id === request.client_order_id)) {
+      return order;
+    }
+  }
+  return null;
+}
+
+/**
+ * Cancels a client's open order
+ * @param {string} owner - Order owner
+ * @param {object} request - { order_id } or { client_order_id }
+ */
+function cancelClientOrder(owner, request) {
+  const order = findOpenOrder(owner, request);
+  if (!order) {
+    emitToRoom(accountRoom(owner), 'order_reject', {
+      request: 'cancel',
+      order_id: request.order_id,
+      client_order_id: request.client_order_id,
+      reason: 'Order not found or no longer open'
+    });
+    return;
+  }
+  
+  cancelOrder(order, 'Cancelled by client');
+}
+
+/**
+ * Amends a client's open limit order (new total quantity and/or price)
+ * Price changes and quantity increases lose time priority; the amended order is matched again
+ * @param {string} owner - Order owner
+ * @param {object} request - { order_id | client_order_id, quantity, price }
+ */
+function amendClientOrder(owner, request) {
+  const reject = (reason) => emitToRoom(accountRoom(owner), 'order_reject', {
+    request: 'amend',
+    order_id: request.order_id,
+    client_order_id: request.client_order_id,
+    reason
+  });
+  
+  const order = findOpenOrder(owner, request);
+  if (!order) {
+    return reject('Order not found or no longer open');
+  }
+  if (!isOrderEntryOpen()) {
+    return reject(`Orders are not accepted during the ${session.phase} phase`);
+  }
+  if (isSymbolHalted(order.symbol_name)) {
+    return reject(`Trading in ${order.symbol_name} is halted`);
+  }
+  
+  const quantity = request.quantity !== undefined ? request.quantity : order.quantity;
+  const price = request.price !== undefined ? request.price : order.price;
+  if (!Number.isInteger(quantity) || quantity <= order.filled_quantity || quantity > CONFIG.MAX_ORDER_QUANTITY) {
+    return reject(`quantity must be a whole number above the filled quantity (${order.filled_quantity}) and at most ${CONFIG.MAX_ORDER_QUANTITY}`);
+  }
+  if (quantity % getLotSize(order.symbol_name) !== 0) {
+    return reject(`quantity must be a multiple of the lot size (${getLotSize(order.symbol_name)})`);
+  }
+  if (!(typeof price === 'number' && price > 0)) {
+    return reject('price must be a positive number');
+  }
+  const tick = findStock(order.symbol_name).tick_size;
+  if (request.price !== undefined && !isOnTickGrid(price, tick)) {
+    return reject(`price must be a multiple of the tick size (${tick})`);
+  }
+  const capacityReason = checkAccountCapacity(owner, {
+    symbol_name: order.symbol_name,
+    side: order.side,
+    type: order.type,
+    quantity: quantity - order.filled_quantity,
+    price
+  }, order);
+  if (capacityReason) {
+    return reject(capacityReason);
+  }
+  
+  const book = orderBooks.get(order.symbol_name);
+  const newPrice = parseFloat(price.toFixed(3));
+  const losesPriority = newPrice !== order.price || quantity > order.quantity;
+  
+  order.quantity = quantity;
+  order.price = newPrice;
+  order.updated_at = now();
+  
+  if (losesPriority) {
+    removeOrder(book, order);
+    order.sequence = nextOrderSequence++;
+    sendExecutionReport(order, 'replaced');
+    // Amended while the auction call runs, the order waits for the uncross
+    if (isMarketOpen()) {
+      matchOrder(book, order);
+    }
+    if (remainingQuantity(order) > 0) {
+      insertOrder(book, order);
+    }
+  } else {
+    sendExecutionReport(order, 'replaced');
+  }
+}
+
+/**
+ * Cancels every open order belonging to an owner without reporting (e.g. on disconnect)
+ * @param {string} owner - Order owner
+ */
+function cancelAllOrdersForOwner(owner) {
+  for (const order of [...openOrders.values()]) {
+    if (order.owner === owner) {
+      cancelOrder(order, 'Owner disconnected', false);
+    }
+  }
+}
+
+/**
+ * Clears all order books and open orders
+ */
+function clearOrderBooks() {
+  orderBooks.clear();
+  openOrders.clear();
+  changedBookSymbols.clear();
+  depthStates.clear();
+}
+
+// ============================================
+// MARKET DEPTH (LEVEL 2)
+// ============================================
+
+/**
+ * Returns the room name for a symbol's depth feed
+ * @param {string} symbolName - Stock symbol
+ * @returns {string} Socket.io room name
+ */
+function depthRoom(symbolName) {
+  return `depth:${symbolName}`;
+}
+
+/**
+ * Marks a symbol's order book as changed since the last broadcast
+ * @param {string} symbolName - Stock symbol
+ */
+function markBookChanged(symbolName) {
+  changedBookSymbols.add(symbolName);
+}
+
+/**
+ * Aggregates one side of a book into price levels
+ * @param {Array<object>} orders - Orders on one side, best price first
+ * @param {number} levels - Number of levels to return
+ * @returns {Array<object>} [{ price, size, orders }], best first
+ */
+function aggregateBookSide(orders, levels) {
+  const result = [];
+  for (const order of orders) {
+    const size = remainingQuantity(order);
+    if (size <= 0) continue;
+    
+    const last = result[result.length - 1];
+    if (last && last.price === order.price) {
+      last.size += size;
+      last.orders++;
+    } else if (result.length < levels) {
+      result.push({ price: order.price, size, orders: 1 });
+    } else {
+      break;
+    }
+  }
+  return result;
+}
+
+/**
+ * Gets a symbol's aggregated depth
+ * @param {string} symbolName - Stock symbol
+ * @param {number} levels - Levels per side (default: CONFIG.DEPTH_LEVELS)
+ * @returns {object|null} { bids, asks }, or null for an unknown symbol
+ */
+function getBookDepth(symbolName, levels = CONFIG.DEPTH_LEVELS) {
+  const book = orderBooks.get(symbolName);
+  if (!book) return null;
+  
+  return {
+    bids: aggregateBookSide(book.bids, levels),
+    asks: aggregateBookSide(book.asks, levels)
+  };
+}
+
+/**
+ * Makes a stock's quote match the best bid and ask on its book, so stock_update and
+ * depth_update always agree on the top of book (client orders can improve the quote)
+ * @param {object} stock - Stock object
+ */
+function syncQuoteWithBook(stock) {
+  const book = orderBooks.get(stock.symbol_name);
+  if (!book || book.bids.length === 0 || book.asks.length === 0) return;
+  
+  const bestBid = book.bids[0].price;
+  const bestAsk = book.asks[0].price;
+  if (stock.buy_value !== bestAsk || stock.sell_value !== bestBid) {
+    const quote = getQuoteState(stock);
+    quote.mid = (bestAsk + bestBid) / 2;
+    quote.spread = (bestAsk - bestBid) / quote.mid;
+    stock.buy_value = bestAsk;
+    stock.sell_value = bestBid;
+    updateQuoteChanges(stock);
+    markStockChanged(stock);
+  }
+}
+
+/**
+ * Syncs the quotes of every symbol whose book changed since the last broadcast
+ */
+function syncChangedQuotes() {
+  for (const symbolName of changedBookSymbols) {
+    const stock = findStock(symbolName);
+    if (stock && !isReplaySymbol(symbolName)) {
+      syncQuoteWithBook(stock);
+    }
+  }
+}
+
+/**
+ * Lists level changes between two views of one side (size 0 removes a level)
+ * @param {string} side - 'bid' or 'ask'
+ * @param {Array<object>} previous - Previously published levels
+ * @param {Array<object>} current - Current levels
+ * @returns {Array<object>} [{ side, price, size, orders }]
+ */
+function diffDepthSide(side, previous, current) {
+  const changes = [];
+  const currentByPrice = new Map(current.map(level => [level.price, level]));
+  const previousByPrice = new Map(previous.map(level => [level.price, level]));
+  
+  for (const level of previous) {
+    if (!currentByPrice.has(level.price)) {
+      changes.push({ side, price: level.price, size: 0, orders: 0 });
+    }
+  }
+  for (const level of current) {
+    const before = previousByPrice.get(level.price);
+    if (!before || before.size !== level.size || before.orders !== level.orders) {
+      changes.push({ side, ...level });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Normalizes a subscribe_depth / unsubscribe_depth payload ('SYM', { symbol_name } or { symbols: [...] })
+ * @param {*} payload - Depth request payload
+ * @returns {Array<string>} Symbols requested (anything that isn't a string is dropped)
+ */
+function parseDepthRequest(payload) {
+  if (typeof payload === 'string') return [payload];
+  
+  const request = payload || {};
+  return [].concat(request.symbols !== undefined ? request.symbols : request.symbol_name)
+    .filter(symbolName => typeof symbolName === 'string');
+}
+
+/**
+ * Subscribes a client to a symbol's depth feed and sends it a snapshot of the last published depth
+ * @param {object} socket - Socket.io socket object
+ * @param {string} symbolName - Stock symbol
+ */
+function subscribeDepth(socket, symbolName) {
+  if (!orderBooks.has(symbolName)) {
+    socket.emit('depth_error', { symbol_name: symbolName, message: `Unknown symbol: ${symbolName}` });
+    return;
+  }
+  
+  // New subscribers start from the view deltas are diffed against
+  let state = depthStates.get(symbolName);
+  if (!state) {
+    state = getBookDepth(symbolName);
+    depthStates.set(symbolName, state);
+  }
+  
+  socket.join(depthRoom(symbolName));
+  socket.emit('depth_update', {
+    symbol_name: symbolName,
+    seq: getStreamSeq(depthRoom(symbolName)),
+    type: 'snapshot',
+    levels: CONFIG.DEPTH_LEVELS,
+    bids: state.bids,
+    asks: state.asks
+  });
+}
+
+/**
+ * Unsubscribes a client from a symbol's depth feed
+ * @param {object} socket - Socket.io socket object
+ * @param {string} symbolName - Stock symbol
+ */
+function unsubscribeDepth(socket, symbolName) {
+  socket.leave(depthRoom(symbolName));
+}
+
+/**
+ * Sends subscribers the level changes of every book that changed since the last broadcast
+ * Each symbol's deltas carry seq + 1; a client that sees a gap should resync or subscribe again for a snapshot
+ */
+function broadcastDepthUpdates() {
+  for (const [symbolName, state] of depthStates) {
+    const room = depthRoom(symbolName);
+    if (!orderBooks.has(symbolName) || !isStreamRetained(room, roomHasClients(room))) {
+      // Deltas stop until someone subscribes again, so nobody can replay across the gap
+      depthStates.delete(symbolName);
+      advanceStream(room);
+      continue;
+    }
+    if (!changedBookSymbols.has(symbolName)) continue;
+    
+    const depth = getBookDepth(symbolName);
+    const changes = [
+      ...diffDepthSide('bid', state.bids, depth.bids),
+      ...diffDepthSide('ask', state.asks, depth.asks)
+    ];
+    if (changes.length === 0) continue;
+    
+    state.bids = depth.bids;
+    state.asks = depth.asks;
+    const delta = { symbol_name: symbolName, seq: nextStreamSeq(room), type: 'delta', changes };
+    recordStreamMessage(room, delta);
+    emitToRoom(room, 'depth_update', delta);
+  }
+  
+  changedBookSymbols.clear();
+}
+
+// ============================================
+// PAPER TRADING ACCOUNTS
+// ============================================
+
+/**
+ * Returns the room name shared by all of an account's sockets
+ * @param {string} userId - Account user id
+ * @returns {string} Socket.io room name
+ */
+function accountRoom(userId) {
+  return `account:${userId}`;
+}
+
+/**
+ * Gets the user id a socket trades as (handshake auth or query user_id, else its socket id)
+ * @param {object} socket - Socket.io socket object
+ * @returns {string} User id
+ */
+function getSocketUserId(socket) {
+  const userId = (socket.handshake.auth && socket.handshake.auth.user_id) || socket.handshake.query.user_id;
+  return typeof userId === 'string' && userId.length > 0 ? userId : socket.id;
+}
+
+/**
+ * Picks distinct random symbols from the stock universe
+ * @param {number} count - Number of symbols to pick
+ * @param {Set<string>} exclude - Symbols not to pick
+ * @returns {Array<string>} Symbol names
+ */
+function pickRandomSymbols(count, exclude = new Set()) {
+  const candidates = stockSymbols.filter(stock => !exclude.has(stock.symbol_name));
+  const indices = getRandomIndices(count, candidates.length);
+  return [...indices].map(index => candidates[index].symbol_name);
+}
+
+/**
+ * Creates a paper trading account with starting cash and a few starting positions
+ * @param {string} userId - Account user id
+ * @returns {object} Account
+ */
+function createAccount(userId) {
+  const positions = new Map();
+  for (const symbolName of pickRandomSymbols(CONFIG.ACCOUNT_STARTING_POSITIONS)) {
+    const price = getStockMidPrice(findStock(symbolName));
+    positions.set(symbolName, {
+      quantity: Math.max(1, Math.round(CONFIG.ACCOUNT_STARTING_POSITION_VALUE / price)),
+      avg_price: price,
+      realized_pnl: 0
+    });
+  }
+  
+  const favorites = pickRandomSymbols(4);
+  const recommendations = pickRandomSymbols(4, new Set([...positions.keys(), ...favorites]));
+  
+  console.log(`💼 Created paper trading account for ${userId}`);
+  return {
+    user_id: userId,
+    cash: CONFIG.ACCOUNT_INITIAL_CASH,
+    realized_pnl: 0, // Includes positions that have since been closed
+    positions,
+    favorites,
+    recommendations,
+    created_at: now()
+  };
+}
+
+/**
+ * Gets a user's account, creating it on first use
+ * @param {string} userId - Account user id
+ * @returns {object} Account
+ */
+function getOrCreateAccount(userId) {
+  if (!accounts.has(userId)) {
+    accounts.set(userId, createAccount(userId));
+  }
+  return accounts.get(userId);
+}
+
+/**
+ * Replaces favorites and recommendations that are no longer in the market (e.g. after a resize)
+ */
+function refreshAccountWatchlists() {
+  for (const account of accounts.values()) {
+    const watched = new Set([...account.favorites, ...account.recommendations, ...account.positions.keys()]);
+    const replace = (symbolName) => {
+      if (findStock(symbolName)) return symbolName;
+      const [replacement] = pickRandomSymbols(1, watched);
+      watched.add(replacement);
+      return replacement;
+    };
+    account.favorites = account.favorites.map(replace);
+    account.recommendations = account.recommendations.map(replace);
+  }
+}
+
+/**
+ * Finds a stock by symbol
+ * @param {string} symbolName - Stock symbol
+ * @returns {object|undefined} Stock object
+ */
+function findStock(symbolName) {
+  return stockSymbols.find(stock => stock.symbol_name === symbolName);
+}
+
+/**
+ * Gets the cash an account has committed to open buy orders
+ * @param {string} userId - Account user id
+ * @returns {number} Reserved cash
+ */
+function getReservedCash(userId) {
+  let reserved = 0;
+  for (const order of openOrders.values()) {
+    if (order.owner === userId && order.side === 'buy') {
+      reserved += remainingQuantity(order) * order.price;
+    }
+  }
+  return reserved;
+}
+
+/**
+ * Gets the quantity of a symbol an account has committed to open sell orders
+ * @param {string} userId - Account user id
+ * @param {string} symbolName - Stock symbol
+ * @returns {number} Reserved quantity
+ */
+function getReservedQuantity(userId, symbolName) {
+  let reserved = 0;
+  for (const order of openOrders.values()) {
+    if (order.owner === userId && order.side === 'sell' && order.symbol_name === symbolName) {
+      reserved += remainingQuantity(order);
+    }
+  }
+  return reserved;
+}
+
+/**
+ * Gets what a market buy would pay by walking the asks it would take
+ * (quantity beyond the book isn't counted: it is cancelled for lack of liquidity)
+ * @param {string} symbolName - Stock symbol
+ * @param {number} quantity - Order quantity
+ * @returns {number} Cost of the fillable quantity
+ */
+function getMarketBuyCost(symbolName, quantity) {
+  const book = orderBooks.get(symbolName);
+  let unfilled = quantity;
+  let cost = 0;
+  for (const ask of book ? book.asks : []) {
+    if (unfilled === 0) break;
+    const taken = Math.min(unfilled, remainingQuantity(ask));
+    cost += taken * ask.price;
+    unfilled -= taken;
+  }
+  return cost;
+}
+
+/**
+ * Checks that an account can cover an order (cash for buys, shares for sells; no short selling)
+ * @param {string} userId - Account user id
+ * @param {object} order - { symbol_name, side, type, quantity, price }
+ * @param {object|null} existingOrder - Open order being amended (its reservation is released first)
+ * @returns {string|null} Rejection reason, or null if covered
+ */
+function checkAccountCapacity(userId, order, existingOrder = null) {
+  const account = getOrCreateAccount(userId);
+  const released = existingOrder ? remainingQuantity(existingOrder) : 0;
+  
+  if (order.side === 'buy') {
+    // A market buy larger than the best level walks up the book, so it is priced level by level
+    const cost = order.type === 'market' ? getMarketBuyCost(order.symbol_name, order.quantity) : order.quantity * order.price;
+    const available = account.cash - getReservedCash(userId) + (existingOrder ? released * existingOrder.price : 0);
+    return cost > available ? 'Insufficient buying power' : null;
+  }
+  
+  const position = account.positions.get(order.symbol_name);
+  const available = (position ? position.quantity : 0) - getReservedQuantity(userId, order.symbol_name) + released;
+  return order.quantity > available ? 'Insufficient position' : null;
+}
+
+/**
+ * Books a fill into the owning account's cash and positions
+ * @param {object} order - Client order that was filled
+ * @param {number} quantity - Quantity filled
+ * @param {number} price - Fill price
+ */
+function applyFillToAccount(order, quantity, price) {
+  const account = getOrCreateAccount(order.owner);
+  const position = account.positions.get(order.symbol_name) || { quantity: 0, avg_price: 0, realized_pnl: 0 };
+  
+  if (order.side === 'buy') {
+    account.cash -= quantity * price;
+    position.avg_price = (position.avg_price * position.quantity + price * quantity) / (position.quantity + quantity);
+    position.quantity += quantity;
+  } else {
+    account.cash += quantity * price;
+    const pnl = (price - position.avg_price) * quantity;
+    position.realized_pnl += pnl;
+    account.realized_pnl += pnl;
+    position.quantity -= quantity;
+  }
+  account.cash = parseFloat(account.cash.toFixed(2));
+  
+  if (position.quantity > 0) {
+    account.positions.set(order.symbol_name, position);
+  } else {
+    account.positions.delete(order.symbol_name);
+  }
+}
+
+/**
+ * Marks an account's positions to the live prices
+ * @param {object} account - Account
+ * @returns {object} Cash, holdings value, P&L and per-position details
+ */
+function getAccountSummary(account) {
+  const positions = [];
+  for (const [symbolName, position] of account.positions) {
+    const stock = findStock(symbolName);
+    const price = stock ? getStockMidPrice(stock) : position.avg_price;
+    const value = position.quantity * price;
+    const unrealizedPnl = (price - position.avg_price) * position.quantity;
+    positions.push({
+      symbol_name: symbolName,
+      quantity: position.quantity,
+      avg_price: parseFloat(position.avg_price.toFixed(3)),
+      price,
+      value: parseFloat(value.toFixed(2)),
+      unrealized_pnl: parseFloat(unrealizedPnl.toFixed(2)),
+      unrealized_pnl_percent: parseFloat(((price - position.avg_price) / position.avg_price * 100).toFixed(2)),
+      realized_pnl: parseFloat(position.realized_pnl.toFixed(2))
+    });
+  }
+  
+  const marketValue = positions.reduce((sum, position) => sum + position.value, 0);
+  return {
+    user_id: account.user_id,
+    cash: account.cash,
+    reserved_cash: parseFloat(getReservedCash(account.user_id).toFixed(2)),
+    market_value: parseFloat(marketValue.toFixed(2)),
+    equity: parseFloat((account.cash + marketValue).toFixed(2)),
+    unrealized_pnl: parseFloat(positions.reduce((sum, position) => sum + position.unrealized_pnl, 0).toFixed(2)),
+    realized_pnl: parseFloat(account.realized_pnl.toFixed(2)),
+    positions
+  };
+}
+
+/**
+ * Builds the homepage payload from an account and the live market
+ * Holdings are the largest positions, favorites/recommendations are the account's watch symbols
+ * @param {object} account - Account
+ * @returns {object} homepage_updates payload
+ */
+function buildHomepageData(account) {
+  const summary = getAccountSummary(account);
+  const homepage = {
+    main_balance: summary.cash,
+    market_value: summary.market_value
+  };
+  
+  // Holdings - four largest positions (empty slots when fewer are held)
+  const holdings = [...summary.positions].sort((a, b) => b.value - a.value);
+  for (let i = 1; i <= 4; i++) {
+    const position = holdings[i - 1];
+    homepage[`holding${i}`] = position ? {
+      symbol_name: position.symbol_name,
+      quantity: position.quantity,
+      avg: parseFloat(position.avg_price.toFixed(2)),
+      change: Math.abs(position.unrealized_pnl_percent),
+      impact_is_positive: position.unrealized_pnl >= 0,
+      value: position.value
+    } : { symbol_name: null, quantity: 0, avg: 0, change: 0, impact_is_positive: true, value: 0 };
+  }
+  
+  // Recommendations - upside to the charted high and downside to the charted low
+  account.recommendations.forEach((symbolName, index) => {
+    const stock = findStock(symbolName);
+    const price = getStockMidPrice(stock);
+    const candles = getChartSnapshot(symbolCharts.get(symbolName));
+    const high = Math.max(...candles.map(candle => candle.high));
+    const low = Math.min(...candles.map(candle => candle.low));
+    homepage[`recommendation${index + 1}`] = {
+      symbol_name: symbolName,
+      avg: parseFloat(price.toFixed(2)),
+      positive_change: parseFloat(((high - price) / price * 100).toFixed(2)),
+      negative_change: parseFloat(((price - low) / price * 100).toFixed(2))
+    };
+  });
+  
+  // Favorites - live price, change over the charted period and recent closes
+  account.favorites.forEach((symbolName, index) => {
+    const stock = findStock(symbolName);
+    const price = getStockMidPrice(stock);
+    const candles = getChartSnapshot(symbolCharts.get(symbolName));
+    const referencePrice = candles[0].open;
+    const changePercent = (price - referencePrice) / referencePrice * 100;
+    homepage[`fav${index + 1}`] = {
+      symbol_name: symbolName,
+      price: parseFloat(price.toFixed(2)),
+      change: parseFloat(Math.abs(changePercent).toFixed(2)),
+      impact_is_positive: changePercent >= 0,
+      graph_data: candles.slice(-20).map(candle => parseFloat(candle.close.toFixed(2)))
+    };
+  });
+  
+  return homepage;
+}
+
+/**
+ * Sends a socket its account's homepage payload
+ * @param {object} socket - Socket.io socket object
+ */
+function sendHomepageData(socket) {
+  socket.emit('homepage_updates', buildHomepageData(getOrCreateAccount(socket.data.userId)));
+}
+
+/**
+ * Sends every account with connected sockets its homepage payload
+ */
+function broadcastHomepageUpdates() {
+  for (const account of accounts.values()) {
+    const room = accountRoom(account.user_id);
+    if (roomHasClients(room)) {
+      emitToRoom(room, 'homepage_updates', buildHomepageData(account));
+    }
+  }
+}
+
+// ============================================
+// HISTORICAL DATA REPLAY
+// ============================================
+
+/**
+ * Parses a timestamp from a data file (epoch seconds, epoch milliseconds or ISO date)
+ * @param {*} value - Raw timestamp
+ * @returns {number} Milliseconds since epoch (NaN if invalid)
+ */
+function parseReplayTimestamp(value) {
+  if (typeof value === 'number' || /^\d+(\.\d+)?$/.test(String(value).trim())) {
+    const numeric = Number(value);
+    return numeric < 1e12 ? numeric * 1000 : numeric;
+  }
+  return Date.parse(value);
+}
+
+/**
+ * Parses a CSV file with a header row into row objects
+ * @param {string} content - File contents
+ * @returns {Array<object>} Rows keyed by lower-cased header names
+ */
+function parseCsv(content) {
+  const lines = content.split(/\r?\n/).filter(line => line.trim().length > 0);
+  if (lines.length === 0) return [];
+  
+  const headers = lines[0].split(',').map(header => header.trim().toLowerCase());
+  return lines.slice(1).map(line => {
+    const values = line.split(',').map(value => value.trim());
+    return Object.fromEntries(headers.map((header, index) => [header, values[index]]));
+  });
+}
+
+/**
+ * Normalizes a raw data row into a tick row or an OHLC bar
+ * @param {object} raw - Row from a CSV or JSON file
+ * @param {string} defaultSymbol - Symbol used when the row has none (from the file name)
+ * @returns {object|null} { time, symbol_name, name, price | open/high/low/close, quantity }, null if unusable
+ */
+function normalizeReplayRow(raw, defaultSymbol) {
+  const row = Object.fromEntries(Object.entries(raw).map(([key, value]) => [key.toLowerCase(), value]));
+  const time = parseReplayTimestamp(row.time ?? row.timestamp ?? row.date);
+  const symbolName = row.symbol ?? row.symbol_name ?? defaultSymbol;
+  const quantity = Number(row.volume ?? row.quantity ?? row.qty ?? 0) || 0;
+  if (!Number.isFinite(time) || !symbolName) return null;
+  
+  if (row.open !== undefined && row.close !== undefined) {
+    const bar = {
+      time,
+      symbol_name: symbolName,
+      name: row.name,
+      open: Number(row.open),
+      high: Number(row.high ?? Math.max(row.open, row.close)),
+      low: Number(row.low ?? Math.min(row.open, row.close)),
+      close: Number(row.close),
+      quantity
+    };
+    return [bar.open, bar.high, bar.low, bar.close].every(price => price > 0) ? bar : null;
+  }
+  
+  const price = Number(row.price ?? row.last);
+  return price > 0 ? { time, symbol_name: symbolName, name: row.name, price, quantity } : null;
+}
+
+/**
+ * Resolves a replay file name inside CONFIG.REPLAY_DIR (paths outside it are refused)
+ * @param {string} file - File name or path relative to the replay directory
+ * @returns {string} Absolute file path
+ */
+function resolveReplayFile(file) {
+  const baseDir = path.resolve(CONFIG.REPLAY_DIR);
+  const filePath = path.resolve(baseDir, file);
+  if (filePath !== baseDir && !filePath.startsWith(baseDir + path.sep)) {
+    throw new Error(`Replay file must be inside ${CONFIG.REPLAY_DIR}: ${file}`);
+  }
+  return filePath;
+}
+
+/**
+ * Loads and normalizes the rows of one replay file (.csv or .json)
+ * @param {string} file - File name relative to the replay directory
+ * @returns {Array<object>} Normalized rows
+ */
+function readReplayFile(file) {
+  const filePath = resolveReplayFile(file);
+  const extension = path.extname(filePath).toLowerCase();
+  const defaultSymbol = path.basename(filePath, extension);
+  const content = fs.readFileSync(filePath, 'utf8');
+  
+  let rawRows;
+  if (extension === '.csv') {
+    rawRows = parseCsv(content);
+  } else if (extension === '.json') {
+    const parsed = JSON.parse(content);
+    rawRows = Array.isArray(parsed) ? parsed : (parsed.data || []).map(row => ({ symbol: parsed.symbol, ...row }));
+  } else {
+    throw new Error(`Unsupported replay file type: ${file} (use .csv or .json)`);
+  }
+  
+  return rawRows.map(row => normalizeReplayRow(row, defaultSymbol)).filter(Boolean);
+}
+
+/**
+ * Expands rows into a time-ordered tick stream
+ * OHLC bars become four ticks spread over the bar (open, high/low, low/high, close);
+ * the bar duration is the gap to the symbol's next bar (last bar reuses the previous gap, default 1 minute)
+ * @param {Array<object>} rows - Normalized rows
+ * @returns {Array<object>} Events { time, symbol_name, price, quantity, rowEnd }
+ */
+function buildReplayEvents(rows) {
+  const events = [];
+  const rowsBySymbol = new Map();
+  for (const row of rows) {
+    if (!rowsBySymbol.has(row.symbol_name)) rowsBySymbol.set(row.symbol_name, []);
+    rowsBySymbol.get(row.symbol_name).push(row);
+  }
+  
+  for (const symbolRows of rowsBySymbol.values()) {
+    symbolRows.sort((a, b) => a.time - b.time);
+    let lastDuration = 60 * 1000;
+    
+    symbolRows.forEach((row, index) => {
+      if (row.price !== undefined) {
+        events.push({ time: row.time, symbol_name: row.symbol_name, price: row.price, quantity: row.quantity, rowEnd: true });
+        return;
+      }
+      
+      const next = symbolRows[index + 1];
+      const duration = next ? next.time - row.time : lastDuration;
+      lastDuration = duration;
+      const path = row.close >= row.open
+        ? [row.open, row.low, row.high, row.close]
+        : [row.open, row.high, row.low, row.close];
+      path.forEach((price, step) => {
+        events.push({
+          time: row.time + Math.floor(duration * step / 4),
+          symbol_name: row.symbol_name,
+          price,
+          quantity: step === 3 ? row.quantity : 0,
+          rowEnd: step === 3
+        });
+      });
+    });
+  }
+  
+  // Stable sort keeps each symbol's own order for equal timestamps
+  return events.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Loads replay files, replacing any previously loaded replay
+ * @param {Array<string>} files - File names relative to CONFIG.REPLAY_DIR
+ * @param {object} options - { speed, loop, autoplay }
+ */
+function loadReplay(files, { speed = CONFIG.REPLAY_SPEED, loop = CONFIG.REPLAY_LOOP, autoplay = true } = {}) {
+  const rows = files.flatMap(file => readReplayFile(file));
+  const events = buildReplayEvents(rows);
+  if (events.length === 0) {
+    throw new Error('Replay files contain no usable rows');
+  }
+  
+  unloadReplay();
+  
+  replay.files = files;
+  replay.events = events;
+  replay.names = new Map(rows.filter(row => row.name).map(row => [row.symbol_name, row.name]));
+  replay.symbols = new Set(events.map(event => event.symbol_name));
+  replay.startTime = events[0].time;
+  replay.endTime = events[events.length - 1].time;
+  replay.position = replay.startTime;
+  replay.index = 0;
+  replay.speed = speed;
+  replay.loop = loop;
+  replay.playing = autoplay;
+  replay.finished = false;
+  
+  console.log(`⏪ Replay loaded: ${events.length} ticks for ${replay.symbols.size} symbols from ${files.join(', ')}`);
+  
+  if (stockSymbols.length > 0) {
+    attachReplay();
+  }
+}
+
+/**
+ * Adds the replayed symbols to the market and rebuilds their state at the current replay position
+ * (called on load and whenever the market universe is initialized)
+ */
+function attachReplay() {
+  if (replay.events.length === 0) return;
+  
+  for (const symbolName of replay.symbols) {
+    if (findStock(symbolName)) continue;
+    
+    const firstEvent = replay.events.find(event => event.symbol_name === symbolName);
+    const name = replay.names.get(symbolName) || symbolName;
+    instruments.set(symbolName, buildInstrument(symbolName, name, null, firstEvent.price));
+    const stock = {
+      symbol_name: symbolName,
+      buy_value: firstEvent.price,
+      name,
+      buy_change: '+0.00%',
+      sell_value: firstEvent.price,
+      sell_change: '+0.00%',
+      previous_close: firstEvent.price,
+      tick_size: getTickSize(firstEvent.price, symbolName),
+      sector: null,
+      trading_status: 'trading',
+      ...createDailyStats()
+    };
+    setStockQuote(stock, firstEvent.price, CONFIG.MIN_SPREAD);
+    stockSymbols.push(stock);
+    orderBooks.set(symbolName, { bids: [], asks: [] });
+    markStockChanged(stock);
+  }
+  
+  seekReplay(replay.position);
+}
+
+/**
+ * Applies one replay tick to its stock, chart and order book
+ * Ticks with a quantity print a trade at the replayed price (aggressor by the tick rule)
+ * @param {object} event - Replay event
+ */
+function applyReplayEvent(event) {
+  const stock = findStock(event.symbol_name);
+  if (!stock) return;
+  
+  const side = event.price >= getStockMidPrice(stock) ? 'buy' : 'sell';
+  // Quote a tight spread around the replayed price; the chart follows the mid, so it tracks the data exactly
+  setStockQuote(stock, event.price, CONFIG.MIN_SPREAD);
+  
+  const trade = event.quantity > 0 ? { price: event.price, quantity: event.quantity, side } : null;
+  publishStockTick(stock, event.time, trade);
+}
+
+/**
+ * Moves the replay to a data time, rebuilding replayed charts and prices from the start
+ * Subscribed chart clients get a full reset snapshot
+ * @param {number} time - Target data time in milliseconds (clamped to the loaded range)
+ */
+function seekReplay(time) {
+  const target = Math.max(replay.startTime, Math.min(replay.endTime, time));
+  
+  // Fresh, history-less charts and tapes for the replayed symbols
+  for (const symbolName of replay.symbols) {
+    const firstEvent = replay.events.find(event => event.symbol_name === symbolName);
+    const stock = findStock(symbolName);
+    stock.buy_value = firstEvent.price;
+    stock.sell_value = firstEvent.price;
+    resetDailyStats(stock);
+    tradeTapes.delete(symbolName);
+    symbolCharts.set(symbolName, createSymbolChart(stock, { backfill: false, time: firstEvent.time }));
+  }
+  
+  replay.index = 0;
+  while (replay.index < replay.events.length && replay.events[replay.index].time <= target) {
+    applyReplayEvent(replay.events[replay.index]);
+    replay.index++;
+  }
+  replay.position = target;
+  replay.finished = false;
+  
+  // The rebuilt trades are on the tapes, but aren't sent as new trades
+  pendingTapeTrades = pendingTapeTrades.filter(trade => !replay.symbols.has(trade.symbol_code));
+  
+  for (const symbolName of replay.symbols) {
+    const chart = symbolCharts.get(symbolName);
+    for (const [interval, series] of Object.entries(chart.series)) {
+      series.completedSinceBroadcast = [];
+      publishChartUpdate(symbolName, interval, getChartSnapshot(chart, interval), true);
+    }
+  }
+}
+
+/**
+ * Advances the replay by one update step (CONFIG.UPDATE_INTERVAL scaled by the speed multiplier)
+ */
+function stepReplay() {
+  if (!replay.playing || replay.events.length === 0) return;
+  
+  replay.position += CONFIG.UPDATE_INTERVAL * replay.speed;
+  while (replay.index < replay.events.length && replay.events[replay.index].time <= replay.position) {
+    applyReplayEvent(replay.events[replay.index]);
+    replay.index++;
+  }
+  
+  for (const symbolName of replay.symbols) {
+    const chart = symbolCharts.get(symbolName);
+    if (chart) {
+      rollChartCandles(chart, Math.min(replay.position, replay.endTime));
+    }
+  }
+  
+  if (replay.index >= replay.events.length) {
+    if (replay.loop) {
+      console.log('⏪ Replay reached the end - looping');
+      seekReplay(replay.startTime);
+    } else {
+      console.log('⏹️  Replay reached the end - paused');
+      replay.position = replay.endTime;
+      replay.playing = false;
+      replay.finished = true;
+    }
+  }
+}
+
+/**
+ * Unloads the replay; replayed symbols stay in the market and go back to synthetic ticks
+ */
+function unloadReplay() {
+  if (replay.events.length === 0) return;
+  
+  for (const symbolName of replay.symbols) {
+    const stock = findStock(symbolName);
+    if (stock && symbolCharts.has(symbolName)) {
+      symbolCharts.set(symbolName, createSymbolChart(stock));
+    }
+  }
+  
+  replay.files = [];
+  replay.events = [];
+  replay.symbols = new Set();
+  replay.playing = false;
+  console.log('⏏️  Replay unloaded');
+}
+
+/**
+ * Checks if a symbol is driven by the loaded replay (synthetic ticks skip it)
+ * @param {string} symbolName - Stock symbol
+ * @returns {boolean} True if replayed
+ */
+function isReplaySymbol(symbolName) {
+  return replay.symbols.has(symbolName);
+}
+
+/**
+ * Describes the replay state for the /replay endpoints
+ * @returns {object} Replay status
+ */
+function getReplayStatus() {
+  const loaded = replay.events.length > 0;
+  return {
+    loaded,
+    files: replay.files,
+    symbols: [...replay.symbols],
+    playing: replay.playing,
+    finished: replay.finished,
+    speed: replay.speed,
+    loop: replay.loop,
+    ticks: replay.events.length,
+    ticksApplied: replay.index,
+    startTime: loaded ? new Date(replay.startTime).toISOString() : null,
+    endTime: loaded ? new Date(replay.endTime).toISOString() : null,
+    position: loaded ? new Date(replay.position).toISOString() : null
+  };
+}
+
+/**
+ * Starts the replay loop (runs alongside synthetic updates; idle when nothing is playing)
+ */
+function startReplayUpdates() {
+  if (replayInterval) {
+    cancelInterval(replayInterval);
+  }
+  
+  replayInterval = scheduleInterval(() => {
+    stepReplay();
+  }, CONFIG.UPDATE_INTERVAL);
+}
+
+/**
+ * Stops the replay loop
+ */
+function stopReplayUpdates() {
+  if (replayInterval) {
+    cancelInterval(replayInterval);
+    replayInterval = null;
+  }
+}
+
+// ============================================
+// PRICE MODELS
+// ============================================
+
+/**
+ * Draws a standard normal random number (Box-Muller on the seeded generator)
+ * @returns {number} Normally distributed number (mean 0, standard deviation 1)
+ */
+function randomNormal() {
+  const u = 1 - random(); // (0, 1] so the log is finite
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Draws a Poisson-distributed count (Knuth's method on the seeded generator)
+ * @param {number} mean - Expected count
+ * @returns {number} Count
+ */
+function randomPoisson(mean) {
+  const limit = Math.exp(-mean);
+  let count = 0;
+  let product = random();
+  while (product > limit) {
+    count++;
+    product *= random();
+  }
+  return count;
+}
+
+/**
+ * Registers a price model, replacing any model with the same name
+ * A model is { name, description, defaults: { param: number|null }, step(price, context) -> new price };
+ * context is { dt (in CONFIG.PRICE_MODEL_TIME_UNIT), params, state, volatility, chart, stock, random, randomNormal, randomPoisson }
+ * @param {object} model - Price model
+ */
+function registerPriceModel(model) {
+  if (!model || typeof model.name !== 'string' || typeof model.step !== 'function') {
+    throw new Error('A price model needs a name and a step(price, context) function');
+  }
+  
+  priceModels.set(model.name, { description: '', defaults: {}, ...model });
+  symbolModels.clear();
+}
+
+// Built-in models. Drift and volatility parameters are per CONFIG.PRICE_MODEL_TIME_UNIT of simulated time.
+registerPriceModel({
+  name: 'uniform',
+  description: 'Uniform jump of up to ±range per update (the original table model)',
+  defaults: { range: null }, // null = CONFIG.PRICE_CHANGE_RANGE
+  step(price, { params, volatility }) {
+    const range = (params.range !== null ? params.range : CONFIG.PRICE_CHANGE_RANGE) * volatility;
+    return price * (1 + (random() * 2 - 1) * range);
+  }
+});
+
+registerPriceModel({
+  name: 'trend',
+  description: 'Random walk with trend regimes, mean reversion and occasional strong moves (the original chart model)',
+  defaults: { volatility: null }, // null = CONFIG.CHART_VOLATILITY
+  step(price, { params, volatility, chart }) {
+    if (!chart) return price;
+    const tickVolatility = (params.volatility !== null ? params.volatility : CONFIG.CHART_VOLATILITY) * volatility;
+    return generateRealisticPrice(chart, price, tickVolatility);
+  }
+});
+
+registerPriceModel({
+  name: 'gbm',
+  description: 'Geometric Brownian motion',
+  defaults: { mu: 0, sigma: 0.05 },
+  step(price, { dt, params, volatility }) {
+    const sigma = params.sigma * volatility;
+    return price * Math.exp((params.mu - sigma * sigma / 2) * dt + sigma * Math.sqrt(dt) * randomNormal());
+  }
+});
+
+registerPriceModel({
+  name: 'merton',
+  description: 'Merton jump-diffusion: GBM plus Poisson jumps with normally distributed log sizes',
+  defaults: { mu: 0, sigma: 0.04, lambda: 1, jumpMean: -0.01, jumpStd: 0.04 },
+  step(price, { dt, params, volatility }) {
+    const sigma = params.sigma * volatility;
+    // Drift is compensated so jumps don't change the expected return
+    const meanJump = Math.exp(params.jumpMean + params.jumpStd * params.jumpStd / 2) - 1;
+    const diffusion = (params.mu - params.lambda * meanJump - sigma * sigma / 2) * dt + sigma * Math.sqrt(dt) * randomNormal();
+    
+    let jumps = 0;
+    const jumpCount = randomPoisson(params.lambda * dt);
+    for (let i = 0; i < jumpCount; i++) {
+      jumps += params.jumpMean + params.jumpStd * randomNormal();
+    }
+    return price * Math.exp(diffusion + jumps);
+  }
+});
+
+registerPriceModel({
+  name: 'ou',
+  description: 'Ornstein-Uhlenbeck mean reversion of the log price towards mean',
+  defaults: { theta: 1, sigma: 0.05, mean: null }, // null mean = price when the model was assigned
+  step(price, { dt, params, state, volatility }) {
+    if (state.mean === undefined) {
+      state.mean = params.mean !== null ? params.mean : price;
+    }
+    
+    // Exact discretization of dx = theta (ln mean - x) dt + sigma dW
+    const sigma = params.sigma * volatility;
+    const decay = Math.exp(-params.theta * dt);
+    const logMean = Math.log(state.mean);
+    const deviation = params.theta > 0
+      ? sigma * Math.sqrt((1 - decay * decay) / (2 * params.theta))
+      : sigma * Math.sqrt(dt);
+    return Math.exp(logMean + (Math.log(price) - logMean) * decay + deviation * randomNormal());
+  }
+});
+
+/**
+ * Validates a price model assignment rule
+ * @param {object} rule - { model, params, symbols?, pattern?, sector? }
+ * @returns {string|null} Error message, or null if valid
+ */
+function validatePriceModelRule(rule) {
+  if (!rule || typeof rule !== 'object') {
+    return 'A price model rule must be an object';
+  }
+  const model = priceModels.get(rule.model);
+  if (!model) {
+    return `Unknown price model: ${rule.model} (registered: ${[...priceModels.keys()].join(', ')})`;
+  }
+  if (rule.symbols !== undefined && !Array.isArray(rule.symbols)) {
+    return 'symbols must be an array';
+  }
+  for (const [key, value] of Object.entries(rule.params || {})) {
+    if (!(key in model.defaults)) {
+      return `${rule.model} has no parameter ${key} (parameters: ${Object.keys(model.defaults).join(', ')})`;
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      return `${rule.model}.${key} must be a number`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Checks whether an assignment rule applies to a stock (a rule with no selector applies to all)
+ * @param {object} rule - Price model rule
+ * @param {object} stock - Stock object
+ * @returns {boolean} True if the rule matches
+ */
+function priceModelRuleMatches(rule, stock) {
+  if (!rule.symbols && !rule.pattern && !rule.sector) return true;
+  
+  return Boolean(
+    (rule.symbols && rule.symbols.includes(stock.symbol_name)) ||
+    (rule.pattern && patternToRegex(rule.pattern).test(stock.symbol_name)) ||
+    (rule.sector && stock.sector === rule.sector)
+  );
+}
+
+/**
+ * Gets a stock's price model instance, resolving it from the rules on first use
+ * (the last matching rule wins, otherwise CONFIG.PRICE_MODEL_DEFAULT)
+ * @param {object} stock - Stock object
+ * @returns {object} { name, model, params, state }
+ */
+function getSymbolModel(stock) {
+  let instance = symbolModels.get(stock.symbol_name);
+  if (instance) return instance;
+  
+  let rule = { model: CONFIG.PRICE_MODEL_DEFAULT, params: {} };
+  for (const candidate of priceModelRules) {
+    if (priceModelRuleMatches(candidate, stock)) {
+      rule = candidate;
+    }
+  }
+  
+  const model = priceModels.get(rule.model) || priceModels.get('uniform');
+  instance = {
+    name: model.name,
+    model,
+    params: { ...model.defaults, ...rule.params },
+    state: { lastTime: null }
+  };
+  symbolModels.set(stock.symbol_name, instance);
+  return instance;
+}
+
+/**
+ * Advances a stock's mid price with its price model
+ * Update gaps (halts, closed sessions) are capped at CONFIG.PRICE_MODEL_MAX_STEP so they don't become one huge move
+ * @param {object} stock - Stock object
+ * @param {number} price - Current mid price
+ * @param {number} volatility - Volatility multiplier from running scenarios
+ * @param {number} drift - Log drift per CONFIG.PRICE_MODEL_TIME_UNIT from running scenario trends
+ * @returns {number} New mid price
+ */
+function stepPriceModel(stock, price, volatility, drift = 0) {
+  const instance = getSymbolModel(stock);
+  const currentTime = now();
+  
+  // Before the first update assume the average gap between a symbol's updates
+  const elapsed = instance.state.lastTime !== null
+    ? currentTime - instance.state.lastTime
+    : CONFIG.UPDATE_INTERVAL * stockSymbols.length / Math.max(1, CONFIG.STOCKS_TO_UPDATE);
+  instance.state.lastTime = currentTime;
+  
+  const dt = Math.min(elapsed, CONFIG.PRICE_MODEL_MAX_STEP) / CONFIG.PRICE_MODEL_TIME_UNIT;
+  const newPrice = instance.model.step(price, {
+    dt,
+    params: instance.params,
+    state: instance.state,
+    volatility,
+    chart: symbolCharts.get(stock.symbol_name),
+    stock,
+    random,
+    randomNormal,
+    randomPoisson
+  });
+  if (!(Number.isFinite(newPrice) && newPrice > 0)) return price;
+  
+  // Trends drift the price over the time since the stock's last step, however often it updates
+  return newPrice * Math.exp(drift * dt);
+}
+
+/**
+ * Adds a price model assignment rule (later rules override earlier ones) and reassigns models
+ * @param {object} rule - { model, params, symbols?, pattern?, sector? }
+ * @returns {string|null} Error message, or null on success
+ */
+function addPriceModelRule(rule) {
+  const error = validatePriceModelRule(rule);
+  if (error) return error;
+  
+  priceModelRules.push({
+    model: rule.model,
+    params: { ...(rule.params || {}) },
+    ...(rule.symbols ? { symbols: rule.symbols } : {}),
+    ...(rule.pattern ? { pattern: rule.pattern } : {}),
+    ...(rule.sector ? { sector: rule.sector } : {})
+  });
+  symbolModels.clear();
+  return null;
+}
+
+/**
+ * Loads CONFIG.PRICE_MODEL_FILE: { default, modules: [paths], rules: [...] }
+ * Modules are loaded first so rules can use the models they register
+ */
+function loadPriceModelConfig() {
+  const filePath = path.resolve(CONFIG.PRICE_MODEL_FILE);
+  const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  
+  for (const modulePath of config.modules || []) {
+    const exported = require(path.resolve(path.dirname(filePath), modulePath));
+    (Array.isArray(exported) ? exported : [exported]).forEach(registerPriceModel);
+    console.log(`📈 Loaded price model module ${modulePath}`);
+  }
+  
+  if (config.default) {
+    if (!priceModels.has(config.default)) {
+      throw new Error(`Unknown default price model: ${config.default}`);
+    }
+    CONFIG.PRICE_MODEL_DEFAULT = config.default;
+  }
+  
+  for (const rule of config.rules || []) {
+    const error = addPriceModelRule(rule);
+    if (error) {
+      throw new Error(`${CONFIG.PRICE_MODEL_FILE}: ${error}`);
+    }
+  }
+  
+  console.log(`📈 Price models: default ${CONFIG.PRICE_MODEL_DEFAULT}, ${priceModelRules.length} assignment rules`);
+}
+
+/**
+ * Describes registered models, assignment rules and how many symbols use each model
+ * @returns {object} Price model overview
+ */
+function getPriceModelOverview() {
+  const assigned = {};
+  for (const stock of stockSymbols) {
+    if (isReplaySymbol(stock.symbol_name)) continue;
+    const name = getSymbolModel(stock).name;
+    assigned[name] = (assigned[name] || 0) + 1;
+  }
+  
+  return {
+    default: CONFIG.PRICE_MODEL_DEFAULT,
+    timeUnitMs: CONFIG.PRICE_MODEL_TIME_UNIT,
+    models: [...priceModels.values()].map(model => ({
+      name: model.name,
+      description: model.description,
+      defaults: model.defaults
+    })),
+    rules: priceModelRules,
+    assigned
+  };
+}
+
+// ============================================
+// SCENARIO ENGINE
+// ============================================
+
+// Event types a scenario may schedule
+const SCENARIO_EVENT_TYPES = ['gap', 'drift', 'volatility', 'trend'];
+
+// Keys a scenario event may have: timing, the type's parameters and the target selectors
+// (anything else is refused, so a misspelled selector can't silently target the whole market)
+const SCENARIO_EVENT_KEYS = ['at', 'type', 'duration', 'percent', 'multiplier', 'direction', 'strength', 'symbols', 'pattern', 'sector'];
+
+/**
+ * Parses a duration ('500ms', '30s', '2m', '1h' or a number of milliseconds)
+ * @param {*} value - Duration
+ * @returns {number} Milliseconds (NaN if invalid)
+ */
+function parseDuration(value) {
+  if (typeof value === 'number') return value;
+  
+  const match = /^(\d+(?:\.\d+)?)(ms|s|m|h)$/.exec(String(value).trim());
+  if (!match) return NaN;
+  
+  const units = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+  return Number(match[1]) * units[match[2]];
+}
+
+/**
+ * Validates and normalizes one scenario event
+ * @param {object} event - Raw event from the scenario file
+ * @param {number} index - Position in the file (for error messages)
+ * @returns {object} Normalized event { at, type, duration, ... }
+ */
+function normalizeScenarioEvent(event, index) {
+  const label = `events[${index}]`;
+  const unknownKey = Object.keys(event).find(key => !SCENARIO_EVENT_KEYS.includes(key));
+  if (unknownKey !== undefined) {
+    throw new Error(`${label}: unknown key '${unknownKey}' (allowed: ${SCENARIO_EVENT_KEYS.join(', ')})`);
+  }
+  if (!SCENARIO_EVENT_TYPES.includes(event.type)) {
+    throw new Error(`${label}: type must be one of ${SCENARIO_EVENT_TYPES.join(', ')}`);
+  }
+  
+  const at = parseDuration(event.at ?? 0);
+  if (!Number.isFinite(at) || at < 0) {
+    throw new Error(`${label}: at must be a duration like '30s' or '2m'`);
+  }
+  
+  const duration = event.duration !== undefined ? parseDuration(event.duration) : null;
+  if (duration !== null && !(duration > 0)) {
+    throw new Error(`${label}: duration must be a positive duration`);
+  }
+  if ((event.type === 'drift' || event.type === 'trend') && duration === null) {
+    throw new Error(`${label}: ${event.type} needs a duration`);
+  }
+  if ((event.type === 'gap' || event.type === 'drift') && !(typeof event.percent === 'number' && event.percent > -100)) {
+    throw new Error(`${label}: percent must be a number above -100`);
+  }
+  if (event.type === 'volatility' && !(typeof event.multiplier === 'number' && event.multiplier >= 0)) {
+    throw new Error(`${label}: multiplier must be a non-negative number`);
+  }
+  if (event.type === 'trend' && !['bullish', 'bearish', 'neutral'].includes(event.direction)) {
+    throw new Error(`${label}: direction must be bullish, bearish or neutral`);
+  }
+  if (event.symbols !== undefined && !Array.isArray(event.symbols)) {
+    throw new Error(`${label}: symbols must be an array`);
+  }
+  if (event.pattern !== undefined && !(typeof event.pattern === 'string' && event.pattern.length > 0)) {
+    throw new Error(`${label}: pattern must be a non-empty string`);
+  }
+  if (event.sector !== undefined && !(typeof event.sector === 'string' && event.sector.length > 0)) {
+    throw new Error(`${label}: sector must be a sector code like 'TECH'`);
+  }
+  
+  const normalized = { ...event, at, duration };
+  if (event.sector !== undefined) {
+    normalized.sector = event.sector.toUpperCase();
+  }
+  return normalized;
+}
+
+/**
+ * Resolves a scenario file name inside CONFIG.SCENARIO_DIR (paths outside it are refused)
+ * @param {string} file - File name relative to the scenario directory
+ * @returns {string} Absolute file path
+ */
+function resolveScenarioFile(file) {
+  const baseDir = path.resolve(CONFIG.SCENARIO_DIR);
+  const filePath = path.resolve(baseDir, file);
+  if (!filePath.startsWith(baseDir + path.sep)) {
+    throw new Error(`Scenario file must be inside ${CONFIG.SCENARIO_DIR}: ${file}`);
+  }
+  return filePath;
+}
+
+/**
+ * Loads a scenario from a .json file or a .js module (exporting the scenario or a function returning it)
+ * @param {string} file - File name relative to CONFIG.SCENARIO_DIR
+ * @returns {object} Scenario { name, events } with events sorted by time
+ */
+function loadScenarioFile(file) {
+  const filePath = resolveScenarioFile(file);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Scenario file not found: ${file}`);
+  }
+  const extension = path.extname(filePath).toLowerCase();
+  
+  let definition;
+  if (extension === '.json') {
+    definition = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } else if (extension === '.js') {
+    delete require.cache[filePath];
+    const exported = require(filePath);
+    definition = typeof exported === 'function' ? exported() : exported;
+  } else {
+    throw new Error(`Unsupported scenario file type: ${file} (use .json or .js)`);
+  }
+  
+  if (!definition || !Array.isArray(definition.events)) {
+    throw new Error(`Scenario ${file} must define an events array`);
+  }
+  
+  return {
+    name: definition.name || path.basename(file, extension),
+    file,
+    events: definition.events.map(normalizeScenarioEvent).sort((a, b) => a.at - b.at)
+  };
+}
+
+/**
+ * Resolves the symbols an event targets (those matching its symbols list, pattern or sector,
+ * or the whole market if it has none of them); replayed symbols follow their data and are never targeted
+ * @param {object} event - Scenario event
+ * @returns {Array<object>} Targeted stocks
+ */
+function getScenarioTargets(event) {
+  const simulated = stockSymbols.filter(stock => !isReplaySymbol(stock.symbol_name));
+  if (!event.symbols && !event.pattern && !event.sector) {
+    return simulated;
+  }
+  
+  const symbols = new Set(event.symbols || []);
+  const regex = event.pattern ? patternToRegex(event.pattern) : null;
+  return simulated.filter(stock =>
+    symbols.has(stock.symbol_name) ||
+    (regex && regex.test(stock.symbol_name)) ||
+    (event.sector && stock.sector === event.sector)
+  );
+}
+
+/**
+ * Scales a stock's mid price by a factor. Only the quote moves: the stock's next update tick
+ * publishes it, so scenarios don't add ticks or trade prints of their own.
+ * @param {object} stock - Stock object
+ * @param {number} factor - Price multiplier (0.8 = -20%)
+ * @returns {boolean} True if the price moved (halted stocks and a closed market stay put)
+ */
+function applyPriceFactor(stock, factor) {
+  if (stock.trading_status === 'halted' || !isMarketOpen()) return false;
+  
+  const quote = getQuoteState(stock);
+  setStockQuote(stock, quote.mid * factor, quote.spread);
+  markStockChanged(stock);
+  return true;
+}
+
+/**
+ * Fires a scenario event: gaps apply at once, the other types become effects for their duration
+ * @param {object} run - Running scenario
+ * @param {object} event - Scenario event
+ */
+function fireScenarioEvent(run, event) {
+  const targets = getScenarioTargets(event);
+  const symbols = new Set(targets.map(stock => stock.symbol_name));
+  const endsAt = event.duration !== null ? now() + event.duration : null;
+  
+  switch (event.type) {
+    case 'gap':
+      // A gap shows at once (and is checked against the price limits), without a trade print
+      targets.forEach(stock => {
+        if (applyPriceFactor(stock, 1 + event.percent / 100)) {
+          publishStockTick(stock, now(), null);
+        }
+      });
+      break;
+    case 'drift':
+      // Compounded per update tick so the full move lands exactly at the end of the duration
+      scenarioEffects.push({
+        run,
+        type: 'drift',
+        symbols,
+        factorPerTick: Math.pow(1 + event.percent / 100, CONFIG.UPDATE_INTERVAL / event.duration),
+        endsAt
+      });
+      break;
+    case 'volatility':
+      scenarioEffects.push({ run, type: 'volatility', symbols, multiplier: event.multiplier, endsAt });
+      break;
+    case 'trend': {
+      const direction = { bullish: 1, bearish: -1, neutral: 0 }[event.direction];
+      const strength = typeof event.strength === 'number' ? Math.max(0, Math.min(1, event.strength)) : 0.5;
+      scenarioEffects.push({ run, type: 'trend', symbols, drift: direction * strength * CONFIG.SCENARIO_TREND_DRIFT, endsAt });
+      for (const symbolName of symbols) {
+        const chart = symbolCharts.get(symbolName);
+        if (chart) {
+          chart.trend = direction;
+          chart.trendStrength = strength;
+        }
+      }
+      break;
+    }
+  }
+  
+  console.log(`🎬 Scenario "${run.scenario.name}" fired ${event.type} on ${symbols.size} symbols`);
+  emitToAll('scenario_event', {
+    scenario: run.scenario.name,
+    run_id: run.id,
+    event,
+    symbols_affected: symbols.size,
+    time: now()
+  });
+}
+
+/**
+ * Gets the combined scenario adjustments for a stock's random price move
+ * @param {string} symbolName - Stock symbol
+ * @returns {object} { volatility: range multiplier, drift: log drift per CONFIG.PRICE_MODEL_TIME_UNIT }
+ */
+function getScenarioAdjustments(symbolName) {
+  let volatility = 1;
+  let drift = 0;
+  for (const effect of scenarioEffects) {
+    if (!effect.symbols.has(symbolName)) continue;
+    if (effect.type === 'volatility') volatility *= effect.multiplier;
+    if (effect.type === 'trend') drift += effect.drift;
+  }
+  return { volatility, drift };
+}
+
+/**
+ * Starts a scenario; its event times are relative to now on the simulation clock
+ * @param {object} scenario - Loaded scenario
+ * @returns {object} Running scenario
+ */
+function runScenario(scenario) {
+  const run = { id: nextScenarioRunId++, scenario, startedAt: now(), nextEvent: 0 };
+  runningScenarios.set(run.id, run);
+  console.log(`🎬 Scenario "${scenario.name}" started (${scenario.events.length} events)`);
+  return run;
+}
+
+/**
+ * Stops a running scenario and removes its effects
+ * @param {number} runId - Running scenario id
+ * @returns {boolean} True if it was running
+ */
+function stopScenario(runId) {
+  const run = runningScenarios.get(runId);
+  if (!run) return false;
+  
+  runningScenarios.delete(runId);
+  scenarioEffects = scenarioEffects.filter(effect => effect.run !== run);
+  console.log(`🎬 Scenario "${run.scenario.name}" stopped`);
+  return true;
+}
+
+/**
+ * Fires due scenario events, applies drifts and expires finished effects (runs every update tick)
+ */
+function stepScenarios() {
+  const currentTime = now();
+  
+  for (const run of runningScenarios.values()) {
+    const events = run.scenario.events;
+    while (run.nextEvent < events.length && run.startedAt + events[run.nextEvent].at <= currentTime) {
+      fireScenarioEvent(run, events[run.nextEvent]);
+      run.nextEvent++;
+    }
+  }
+  
+  for (const effect of scenarioEffects) {
+    if (effect.type !== 'drift') continue;
+    for (const symbolName of effect.symbols) {
+      const stock = findStock(symbolName);
+      if (stock) applyPriceFactor(stock, effect.factorPerTick);
+    }
+  }
+  
+  scenarioEffects = scenarioEffects.filter(effect => effect.endsAt === null || effect.endsAt > currentTime);
+  
+  // A scenario is done once every event fired and none of its effects are still active
+  for (const run of [...runningScenarios.values()]) {
+    if (run.nextEvent >= run.scenario.events.length && !scenarioEffects.some(effect => effect.run === run)) {
+      runningScenarios.delete(run.id);
+      console.log(`🎬 Scenario "${run.scenario.name}" finished`);
+    }
+  }
+}
+
+/**
+ * Lists the scenario files available in CONFIG.SCENARIO_DIR
+ * @returns {Array<string>} File names
+ */
+function listScenarioFiles() {
+  if (!fs.existsSync(CONFIG.SCENARIO_DIR)) return [];
+  return fs.readdirSync(CONFIG.SCENARIO_DIR).filter(file => /\.(json|js)$/i.test(file));
+}
+
+/**
+ * Describes running scenarios for the /scenarios endpoints
+ * @returns {Array<object>} Running scenario summaries
+ */
+function getRunningScenarios() {
+  return [...runningScenarios.values()].map(run => ({
+    id: run.id,
+    name: run.scenario.name,
+    file: run.scenario.file,
+    startedAt: new Date(run.startedAt).toISOString(),
+    eventsFired: run.nextEvent,
+    eventsTotal: run.scenario.events.length,
+    activeEffects: scenarioEffects.filter(effect => effect.run === run).map(effect => effect.type)
+  }));
+}
+
+/**
+ * Starts the scenario loop and any scenarios configured to run with every new market
+ */
+function startScenarioUpdates() {
+  if (scenarioInterval) {
+    cancelInterval(scenarioInterval);
+  }
+  
+  for (const file of CONFIG.SCENARIO_FILES) {
+    if (![...runningScenarios.values()].some(run => run.scenario.file === file)) {
+      runScenario(loadScenarioFile(file));
+    }
+  }
+  
+  scenarioInterval = scheduleInterval(() => {
+    stepScenarios();
+  }, CONFIG.UPDATE_INTERVAL);
+}
+
+/**
+ * Stops the scenario loop and every running scenario
+ */
+function stopScenarioUpdates() {
+  if (scenarioInterval) {
+    cancelInterval(scenarioInterval);
+    scenarioInterval = null;
+  }
+  runningScenarios.clear();
+  scenarioEffects = [];
+}
+
+// ============================================
+// SECTORS & MARKET INDICES
+// ============================================
+
+// Id of the index over every simulated symbol
+const COMPOSITE_INDEX = 'COMPOSITE';
+
+/**
+ * Picks a random sector for a new stock
+ * @returns {string} Sector code
+ */
+function pickSector() {
+  return CONFIG.SECTORS[Math.floor(random() * CONFIG.SECTORS.length)].code;
+}
+
+/**
+ * Gets a sector's display name
+ * @param {string} code - Sector code
+ * @returns {string} Sector name (the code itself for sectors not in CONFIG.SECTORS)
+ */
+function getSectorName(code) {
+  const sector = CONFIG.SECTORS.find(entry => entry.code === code);
+  return sector ? sector.name : code;
+}
+
+/**
+ * Gets (or draws) a stock's factor exposure: its betas and the factor levels it last moved with
+ * @param {object} stock - Stock object
+ * @returns {object} { marketBeta, sectorBeta, marketLevel, sectorLevel }
+ */
+function getFactorExposure(stock) {
+  let exposure = factorExposures.get(stock.symbol_name);
+  if (!exposure) {
+    const [marketMin, marketMax] = CONFIG.MARKET_BETA_RANGE;
+    const [sectorMin, sectorMax] = CONFIG.SECTOR_BETA_RANGE;
+    exposure = {
+      marketBeta: marketMin + random() * (marketMax - marketMin),
+      sectorBeta: sectorMin + random() * (sectorMax - sectorMin),
+      marketLevel: marketFactors.market,
+      sectorLevel: marketFactors.sectors.get(stock.sector) || 0
+    };
+    factorExposures.set(stock.symbol_name, exposure);
+  }
+  return exposure;
+}
+
+/**
+ * Advances the market factor and every sector factor by one update interval
+ * (factors are log levels driven by Brownian shocks, volatility per CONFIG.PRICE_MODEL_TIME_UNIT)
+ */
+function stepMarketFactors() {
+  const dt = CONFIG.UPDATE_INTERVAL / CONFIG.PRICE_MODEL_TIME_UNIT;
+  marketFactors.market += CONFIG.MARKET_FACTOR_VOLATILITY * Math.sqrt(dt) * randomNormal();
+  
+  for (const sector of new Set(stockSymbols.map(stock => stock.sector).filter(Boolean))) {
+    const level = marketFactors.sectors.get(sector) || 0;
+    marketFactors.sectors.set(sector, level + CONFIG.SECTOR_FACTOR_VOLATILITY * Math.sqrt(dt) * randomNormal());
+  }
+}
+
+/**
+ * Gets a stock's correlated log move since its last update: beta-weighted market and sector factor moves
+ * @param {object} stock - Stock object being updated
+ * @returns {number} Log return to add to the stock's own move
+ */
+function takeFactorMove(stock) {
+  const exposure = getFactorExposure(stock);
+  const sectorLevel = marketFactors.sectors.get(stock.sector) || 0;
+  const move = exposure.marketBeta * (marketFactors.market - exposure.marketLevel) +
+    exposure.sectorBeta * (sectorLevel - exposure.sectorLevel);
+  
+  exposure.marketLevel = marketFactors.market;
+  exposure.sectorLevel = sectorLevel;
+  return move;
+}
+
+/**
+ * Gets the stocks in an index
+ * @param {string} indexId - COMPOSITE_INDEX or a sector code
+ * @returns {Array<object>} Constituent stocks (replayed symbols are never included)
+ */
+function getIndexConstituents(indexId) {
+  return stockSymbols.filter(stock =>
+    !isReplaySymbol(stock.symbol_name) && (indexId === COMPOSITE_INDEX || stock.sector === indexId)
+  );
+}
+
+/**
+ * Lists index ids: the composite, configured sectors, then any other sector a stock carries
+ * @returns {Array<string>} Index ids
+ */
+function getIndexIds() {
+  const sectors = new Set(CONFIG.SECTORS.map(sector => sector.code));
+  stockSymbols.forEach(stock => { if (stock.sector) sectors.add(stock.sector); });
+  return [COMPOSITE_INDEX, ...sectors];
+}
+
+/**
+ * Updates every index level, chain-linked: each update multiplies the level by the constituents'
+ * average price relative since the last update (equal weighted, so symbols can join or leave)
+ * and feeds it to the index's candles
+ */
+function updateIndices() {
+  const currentTime = now();
+  
+  for (const indexId of getIndexIds()) {
+    let index = marketIndices.get(indexId);
+    if (!index) {
+      index = {
+        level: CONFIG.INDEX_BASE_LEVEL,
+        openLevel: CONFIG.INDEX_BASE_LEVEL,
+        chart: createChart(CONFIG.INDEX_BASE_LEVEL, { backfill: false, time: currentTime })
+      };
+      marketIndices.set(indexId, index);
+    }
+    
+    let relativeSum = 0;
+    let count = 0;
+    for (const stock of getIndexConstituents(indexId)) {
+      const previousMid = indexPreviousMids.get(stock.symbol_name);
+      if (previousMid) {
+        relativeSum += getStockMidPrice(stock) / previousMid;
+        count++;
+      }
+    }
+    if (count > 0) {
+      index.level = parseFloat((index.level * relativeSum / count).toFixed(2));
+    }
+    
+    rollChartCandles(index.chart, currentTime);
+    for (const series of Object.values(index.chart.series)) {
+      updateCurrentCandle(series, index.level);
+      series.currentCandle.volume += pendingIndexVolumes.get(indexId) || 0;
+      series.completedSinceBroadcast = [];
+    }
+    index.chart.lastPrice = index.level;
+  }
+  pendingIndexVolumes.clear();
+  
+  for (const stock of stockSymbols) {
+    indexPreviousMids.set(stock.symbol_name, getStockMidPrice(stock));
+  }
+}
+
+/**
+ * Gets an index's level (updated every CONFIG.INDEX_UPDATE_INTERVAL)
+ * @param {string} indexId - Index id
+ * @returns {number|null} Level, or null if the index doesn't exist yet
+ */
+function getIndexLevel(indexId) {
+  const index = marketIndices.get(indexId);
+  return index ? index.level : null;
+}
+
+/**
+ * Marks the current index levels as the session open (index changes are measured from it)
+ */
+function markIndicesOpen() {
+  updateIndices();
+  for (const index of marketIndices.values()) {
+    index.openLevel = index.level;
+  }
+}
+
+/**
+ * Describes every index for index_update events and REST
+ * @returns {Array<object>} Index summaries
+ */
+function getIndexSummaries() {
+  return [...marketIndices.entries()].map(([indexId, index]) => {
+    const change = index.level - index.openLevel;
+    return {
+      index: indexId,
+      name: indexId === COMPOSITE_INDEX ? 'Composite' : getSectorName(indexId),
+      level: index.level,
+      open: index.openLevel,
+      change: parseFloat(change.toFixed(2)),
+      change_percent: parseFloat((change / index.openLevel * 100).toFixed(2)),
+      constituents: getIndexConstituents(indexId).length,
+      candle: index.chart.series[CONFIG.CHART_DEFAULT_INTERVAL].currentCandle
+    };
+  });
+}
+
+/**
+ * Builds an index_update message (every message carries the full state of all indices)
+ * @returns {object} { seq, time, indices }
+ */
+function getIndexUpdate() {
+  return { seq: getStreamSeq('index'), time: now(), indices: getIndexSummaries() };
+}
+
+/**
+ * Updates the indices and broadcasts them to every client
+ */
+function broadcastIndexUpdates() {
+  updateIndices();
+  advanceStream('index');
+  emitToAll('index_update', getIndexUpdate());
+}
+
+/**
+ * Starts index updates at the configured interval
+ */
+function startIndexUpdates() {
+  if (indexUpdateInterval) {
+    cancelInterval(indexUpdateInterval);
+  }
+  
+  indexUpdateInterval = scheduleInterval(() => {
+    broadcastIndexUpdates();
+  }, CONFIG.INDEX_UPDATE_INTERVAL);
+  
+  console.log(`📊 Index updates: every ${CONFIG.INDEX_UPDATE_INTERVAL}ms`);
+}
+
+/**
+ * Stops index updates
+ */
+function stopIndexUpdates() {
+  if (indexUpdateInterval) {
+    cancelInterval(indexUpdateInterval);
+    indexUpdateInterval = null;
+  }
+}
+
+/**
+ * Clears indices, factor levels and exposures (a new universe starts from the base level)
+ */
+function clearIndices() {
+  marketIndices.clear();
+  pendingIndexVolumes.clear();
+  indexPreviousMids.clear();
+  factorExposures.clear();
+  marketFactors.market = 0;
+  marketFactors.sectors.clear();
+}
+
+// ============================================
+// TRADING HALTS & CIRCUIT BREAKERS
+// ============================================
+
+/**
+ * Gets (or starts) a symbol's price limit state
+ * @param {object} stock - Stock object
+ * @returns {object} { samples: [{ time, price }], variance, ticks, limitSince, haltedUntil, haltReason }
+ */
+function getPriceLimitState(stock) {
+  let state = priceLimitStates.get(stock.symbol_name);
+  if (!state) {
+    state = {
+      samples: [{ time: now(), price: getStockMidPrice(stock) }],
+      variance: 0, // Average squared log return per tick
+      ticks: 0,    // Returns the variance has seen
+      limitSince: null,
+      haltedUntil: null,
+      haltReason: null
+    };
+    priceLimitStates.set(stock.symbol_name, state);
+  }
+  return state;
+}
+
+/**
+ * Changes a symbol's trading status and announces it with a trading_status event
+ * @param {object} stock - Stock object
+ * @param {string} status - 'trading', 'halted', 'limit_up' or 'limit_down'
+ * @param {string} reason - Why the status changed
+ * @param {number|null} resumesAt - When a halt ends (null if open-ended or not halted)
+ */
+function setTradingStatus(stock, status, reason, resumesAt = null) {
+  if (stock.trading_status === status) return;
+  
+  const previousStatus = stock.trading_status;
+  stock.trading_status = status;
+  markStockChanged(stock);
+  
+  if (status === 'halted') {
+    console.log(`⛔ ${stock.symbol_name} halted (${reason})`);
+  }
+  emitToAll('trading_status', {
+    scope: 'symbol',
+    symbol_name: stock.symbol_name,
+    status,
+    previous_status: previousStatus,
+    reason,
+    resumes_at: resumesAt,
+    time: now()
+  });
+}
+
+/**
+ * Halts a symbol for CONFIG.HALT_DURATION
+ * @param {object} stock - Stock object
+ * @param {string} reason - Why the symbol is halted
+ */
+function haltSymbol(stock, reason) {
+  const state = getPriceLimitState(stock);
+  state.limitSince = null;
+  state.haltedUntil = now() + CONFIG.HALT_DURATION;
+  state.haltReason = reason;
+  setTradingStatus(stock, 'halted', reason, state.haltedUntil);
+}
+
+/**
+ * Resumes trading in a symbol, restarting its price window from the current price
+ * @param {object} stock - Stock object
+ * @param {string} reason - Why trading resumes
+ */
+function resumeSymbol(stock, reason) {
+  const state = getPriceLimitState(stock);
+  state.samples = [{ time: now(), price: getStockMidPrice(stock) }];
+  state.limitSince = null;
+  state.haltedUntil = null;
+  state.haltReason = null;
+  setTradingStatus(stock, 'trading', reason);
+}
+
+/**
+ * Folds a tick's log return into a symbol's per-tick variance average
+ * (a plain mean over the warmup, then decaying by CONFIG.LIMIT_VOLATILITY_DECAY)
+ * @param {object} state - Price limit state
+ * @param {number} logReturn - Log return since the symbol's previous tick
+ */
+function recordLimitVolatility(state, logReturn) {
+  state.ticks++;
+  const weight = Math.max(1 - CONFIG.LIMIT_VOLATILITY_DECAY, 1 / state.ticks);
+  state.variance += weight * (logReturn * logReturn - state.variance);
+}
+
+/**
+ * Gets a symbol's limit band: CONFIG.LIMIT_BAND_SIGMAS standard deviations of its usual move over
+ * the ticks in the window, but never narrower than CONFIG.LIMIT_BAND_PERCENT. The halt threshold
+ * keeps its ratio to the band, so a noisy symbol isn't pinned at its limits or halted by its own noise.
+ * @param {object} state - Price limit state
+ * @returns {object} { band, haltMove } as fractions of the reference price
+ */
+function getLimitBand(state) {
+  const windowDeviation = Math.sqrt(state.variance * state.samples.length);
+  const band = Math.max(CONFIG.LIMIT_BAND_PERCENT, CONFIG.LIMIT_BAND_SIGMAS * windowDeviation);
+  return { band, haltMove: band * CONFIG.HALT_MOVE_PERCENT / CONFIG.LIMIT_BAND_PERCENT };
+}
+
+/**
+ * Checks a stock's new price against its limit band, measured from the oldest price in
+ * the last CONFIG.PRICE_LIMIT_WINDOW: moves past the band are clamped to it (limit up/down),
+ * moves past the halt threshold halt the symbol. A symbol at a limit trades again once its
+ * move is back under CONFIG.LIMIT_RELEASE_RATIO of the band, so it doesn't flap at the edge.
+ * @param {object} stock - Stock object that was just updated
+ */
+function applyPriceLimits(stock) {
+  if (isReplaySymbol(stock.symbol_name) || stock.trading_status === 'halted') return;
+  
+  const currentTime = now();
+  const state = getPriceLimitState(stock);
+  const mid = getStockMidPrice(stock);
+  const logReturn = state.samples.length > 0 ? Math.log(mid / state.samples[state.samples.length - 1].price) : 0;
+  state.samples = state.samples.filter(sample => sample.time > currentTime - CONFIG.PRICE_LIMIT_WINDOW);
+  
+  // Bands apply once the symbol's volatility has been measured
+  if (state.ticks < CONFIG.LIMIT_VOLATILITY_WARMUP) {
+    recordLimitVolatility(state, logReturn);
+    state.samples.push({ time: currentTime, price: mid });
+    return;
+  }
+  
+  const reference = state.samples.length > 0 ? state.samples[0].price : mid;
+  const move = (mid - reference) / reference;
+  const { band, haltMove } = getLimitBand(state);
+  
+  // A tick that reaches the band is a shock, not the symbol's usual noise, so it doesn't widen the band
+  if (Math.abs(move) < band) {
+    recordLimitVolatility(state, logReturn);
+  }
+  
+  if (Math.abs(move) >= haltMove) {
+    haltSymbol(stock, `moved ${(move * 100).toFixed(2)}% within ${CONFIG.PRICE_LIMIT_WINDOW / 1000}s`);
+    return;
+  }
+  
+  if (Math.abs(move) >= band) {
+    // Clamp the mid to the band edge
+    const bandPrice = reference * (1 + Math.sign(move) * band);
+    setStockQuote(stock, bandPrice, getQuoteState(stock).spread);
+    
+    if (state.limitSince === null) {
+      state.limitSince = currentTime;
+    }
+    setTradingStatus(stock, move > 0 ? 'limit_up' : 'limit_down', `reached the ${(band * 100).toFixed(2)}% price band`);
+  } else if (state.limitSince !== null && Math.abs(move) < band * CONFIG.LIMIT_RELEASE_RATIO) {
+    state.limitSince = null;
+    setTradingStatus(stock, 'trading', 'back inside the price band');
+  }
+  
+  state.samples.push({ time: currentTime, price: getStockMidPrice(stock) });
+}
+
+/**
+ * Gets the composite index's drop since the circuit breaker reference (its level at market open)
+ * @returns {number|null} Drop as a fraction (0.07 = down 7%), null before the index exists
+ */
+function getCompositeDrop() {
+  const level = getIndexLevel(COMPOSITE_INDEX);
+  if (level === null) return null;
+  
+  if (marketStatus.referenceLevel === null) {
+    marketStatus.referenceLevel = level;
+  }
+  return 1 - level / marketStatus.referenceLevel;
+}
+
+/**
+ * Describes the market-wide status (used for trading_status events and REST)
+ * @returns {object} Market status payload
+ */
+function getMarketStatus() {
+  const drop = getCompositeDrop();
+  return {
+    scope: 'market',
+    status: marketStatus.halted ? 'halted' : 'trading',
+    level: marketStatus.level,
+    composite_index: getIndexLevel(COMPOSITE_INDEX),
+    index_change: drop !== null ? parseFloat((-drop * 100).toFixed(2)) : null,
+    resumes_at: marketStatus.resumesAt,
+    time: now()
+  };
+}
+
+/**
+ * Gets how long a circuit breaker halt lasts. A duration-null level halts for the rest of the
+ * session, which only ends at the next opening auction when the session calendar is on;
+ * trading around the clock it lasts CONFIG.CIRCUIT_BREAKER_SESSIONLESS_HALT instead.
+ * @param {object} breaker - { drop, duration } from CONFIG.CIRCUIT_BREAKER_LEVELS
+ * @returns {number|null} Halt duration in ms, or null for the rest of the session
+ */
+function getCircuitBreakerDuration(breaker) {
+  if (breaker.duration !== null) return breaker.duration;
+  return CONFIG.SESSION_ENABLED ? null : CONFIG.CIRCUIT_BREAKER_SESSIONLESS_HALT;
+}
+
+/**
+ * Starts a market-wide halt for a circuit breaker level (every simulated symbol halts)
+ * @param {number} level - Circuit breaker level (1-based)
+ * @param {object} breaker - { drop, duration } from CONFIG.CIRCUIT_BREAKER_LEVELS
+ */
+function tripCircuitBreaker(level, breaker) {
+  const duration = getCircuitBreakerDuration(breaker);
+  marketStatus.halted = true;
+  marketStatus.level = level;
+  marketStatus.resumesAt = duration !== null ? now() + duration : null;
+  
+  const reason = `circuit breaker level ${level} (${(breaker.drop * 100).toFixed(0)}% drop)`;
+  for (const stock of stockSymbols) {
+    if (isReplaySymbol(stock.symbol_name)) continue;
+    
+    const state = getPriceLimitState(stock);
+    state.limitSince = null;
+    state.haltedUntil = marketStatus.resumesAt;
+    state.haltReason = 'circuit_breaker';
+    stock.trading_status = 'halted';
+    markStockChanged(stock);
+  }
+  
+  console.log(`🚨 Market halted: ${reason}`);
+  emitToAll('trading_status', { ...getMarketStatus(), reason });
+}
+
+/**
+ * Ends a market-wide halt, resuming every symbol the circuit breaker halted
+ */
+function resumeMarket() {
+  marketStatus.halted = false;
+  marketStatus.resumesAt = null;
+  
+  for (const stock of stockSymbols) {
+    const state = priceLimitStates.get(stock.symbol_name);
+    if (state && state.haltReason === 'circuit_breaker') {
+      state.samples = [{ time: now(), price: getStockMidPrice(stock) }];
+      state.haltedUntil = null;
+      state.haltReason = null;
+      stock.trading_status = 'trading';
+      markStockChanged(stock);
+    }
+  }
+  
+  console.log('✅ Market-wide halt ended');
+  emitToAll('trading_status', { ...getMarketStatus(), reason: 'halt period ended' });
+}
+
+/**
+ * Ends halts that are due, halts symbols stuck at a limit for CONFIG.LIMIT_STATE_DURATION
+ * and checks the composite index against the circuit breaker levels (runs every update tick)
+ */
+function updateTradingStatuses() {
+  const currentTime = now();
+  
+  if (marketStatus.halted) {
+    if (marketStatus.resumesAt !== null && marketStatus.resumesAt <= currentTime) {
+      resumeMarket();
+    }
+    return;
+  }
+  
+  for (const stock of stockSymbols) {
+    const state = priceLimitStates.get(stock.symbol_name);
+    if (!state) continue;
+    
+    if (stock.trading_status === 'halted' && state.haltedUntil !== null && state.haltedUntil <= currentTime) {
+      resumeSymbol(stock, 'halt period ended');
+    } else if (state.limitSince !== null && currentTime - state.limitSince >= CONFIG.LIMIT_STATE_DURATION) {
+      haltSymbol(stock, `held at ${stock.trading_status.replace('_', ' ')} for ${CONFIG.LIMIT_STATE_DURATION / 1000}s`);
+    }
+  }
+  
+  // Each level trips at most once per market open
+  const drop = getCompositeDrop();
+  if (drop === null) return;
+  CONFIG.CIRCUIT_BREAKER_LEVELS.forEach((breaker, i) => {
+    if (i + 1 > marketStatus.level && drop >= breaker.drop && !marketStatus.halted) {
+      tripCircuitBreaker(i + 1, breaker);
+    }
+  });
+}
+
+/**
+ * Checks whether a symbol is currently halted (orders are rejected while it is)
+ * @param {string} symbolName - Stock symbol
+ * @returns {boolean} True if halted
+ */
+function isSymbolHalted(symbolName) {
+  const stock = findStock(symbolName);
+  return Boolean(stock && stock.trading_status === 'halted');
+}
+
+/**
+ * Clears all halts and limit states and takes new index reference prices (market open)
+ */
+function resetTradingStatuses() {
+  priceLimitStates.clear();
+  marketStatus.halted = false;
+  marketStatus.level = 0;
+  marketStatus.resumesAt = null;
+  marketStatus.referenceLevel = null;
+  stockSymbols.forEach(stock => { stock.trading_status = 'trading'; });
+}
+
+// ============================================
+// TRADING SESSION CALENDAR
+// ============================================
+
+// Session phases, in the order a trading day runs through them
+const SESSION_PHASES = ['closed', 'pre_open', 'auction', 'continuous'];
+
+/**
+ * Gets the local date and time of day in the session time zone
+ * @param {number} time - Time in milliseconds
+ * @returns {object} { date: 'YYYY-MM-DD', minutes: minutes since local midnight, clock: 'HH:MM:SS', offset: ms ahead of UTC }
+ */
+function getSessionLocalTime(time) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: CONFIG.SESSION_TIMEZONE,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(time)).forEach(part => { parts[part.type] = part.value; });
+  
+  const hour = Number(parts.hour);
+  const minute = Number(parts.minute);
+  const second = Number(parts.second);
+  const localAsUtc = Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day), hour, minute, second);
+  
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: hour * 60 + minute,
+    clock: `${parts.hour}:${parts.minute}:${parts.second}`,
+    offset: localAsUtc - Math.floor(time / 1000) * 1000
+  };
+}
+
+/**
+ * Converts a local date and 'HH:MM' in the session time zone to a timestamp
+ * @param {string} date - Local date 'YYYY-MM-DD'
+ * @param {string} clock - Local time 'HH:MM'
+ * @returns {number} Time in milliseconds
+ */
+function sessionLocalToTime(date, clock) {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute] = clock.split(':').map(Number);
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  
+  // Take the offset at the guess, then again at the result so DST switches land right
+  const firstPass = guess - getSessionLocalTime(guess).offset;
+  return guess - getSessionLocalTime(firstPass).offset;
+}
+
+/**
+ * Adds days to a 'YYYY-MM-DD' date
+ * @param {string} date - Date string
+ * @param {number} days - Days to add
+ * @returns {string} Date string
+ */
+function addDays(date, days) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * Checks whether a local date is a trading day (a configured weekday and not a holiday)
+ * @param {string} date - Local date 'YYYY-MM-DD'
+ * @returns {boolean} True if the market opens that day
+ */
+function isTradingDay(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  return CONFIG.SESSION_TRADING_DAYS.includes(weekday) && !CONFIG.SESSION_HOLIDAYS.includes(date);
+}
+
+/**
+ * Gets the local midnight in CONFIG.SESSION_TIMEZONE that starts a time's day
+ * @param {number} time - Time in milliseconds
+ * @returns {number} Start of the local day in milliseconds
+ */
+function getLocalMidnight(time) {
+  const dayMs = 24 * 60 * 60 * 1000;
+  const offset = getSessionLocalTime(time).offset;
+  const localDay = Math.floor((time + offset) / dayMs) * dayMs;
+  // Offset taken at midnight itself, in case the clocks changed later that day
+  return localDay - getSessionLocalTime(localDay - offset).offset;
+}
+
+/**
+ * Gets the start of the session-local day a time falls into (the daily candle bucket)
+ * The current day's bounds are cached, as every chart tick asks for them
+ * @param {number} time - Time in milliseconds
+ * @returns {number} Start of the local day in milliseconds
+ */
+function getSessionDayStart(time) {
+  if (!sessionDay || time < sessionDay.start || time >= sessionDay.end) {
+    const start = getLocalMidnight(time);
+    // Local days are 23-25 hours long, so 26 hours on always lands in the next one
+    sessionDay = { start, end: getLocalMidnight(start + 26 * 60 * 60 * 1000) };
+  }
+  return sessionDay.start;
+}
+
+/**
+ * Converts 'HH:MM' to minutes since midnight
+ * @param {string} clock - Local time 'HH:MM'
+ * @returns {number} Minutes
+ */
+function clockToMinutes(clock) {
+  const [hour, minute] = clock.split(':').map(Number);
+  return hour * 60 + minute;
+}
+
+/**
+ * Gets the phase the schedule puts the market in at a given time
+ * (always continuous when the calendar is disabled)
+ * @param {number} time - Time in milliseconds
+ * @returns {string} Session phase
+ */
+function getScheduledPhase(time) {
+  if (!CONFIG.SESSION_ENABLED) return 'continuous';
+  
+  const local = getSessionLocalTime(time);
+  if (!isTradingDay(local.date)) return 'closed';
+  
+  let phase = 'closed';
+  for (const entry of CONFIG.SESSION_SCHEDULE) {
+    if (clockToMinutes(entry.start) <= local.minutes) {
+      phase = entry.phase;
+    }
+  }
+  return phase;
+}
+
+/**
+ * Finds the next scheduled phase change after a given time (looks up to two weeks ahead)
+ * @param {number} time - Time in milliseconds
+ * @returns {object|null} { phase, time } or null if the schedule never changes
+ */
+function getNextScheduledPhase(time) {
+  if (!CONFIG.SESSION_ENABLED) return null;
+  
+  const currentPhase = getScheduledPhase(time);
+  const today = getSessionLocalTime(time).date;
+  for (let day = 0; day <= 14; day++) {
+    const date = addDays(today, day);
+    const starts = ['00:00', ...CONFIG.SESSION_SCHEDULE.map(entry => entry.start)];
+    for (const start of starts) {
+      const candidate = sessionLocalToTime(date, start);
+      if (candidate <= time) continue;
+      
+      const phase = getScheduledPhase(candidate);
+      if (phase !== currentPhase) {
+        return { phase, time: candidate };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Checks whether continuous trading is open (prices move and orders are accepted)
+ * @returns {boolean} True during the continuous phase
+ */
+function isMarketOpen() {
+  return session.phase === 'continuous';
+}
+
+/**
+ * Checks whether orders are accepted: in continuous trading, and during the auction call,
+ * where they are queued for the opening uncross
+ * @returns {boolean} True during the auction and continuous phases
+ */
+function isOrderEntryOpen() {
+  return session.phase === 'continuous' || session.phase === 'auction';
+}
+
+/**
+ * Describes the session for session_state events and REST
+ * @returns {object} Session state payload
+ */
+function getSessionState() {
+  const currentTime = now();
+  const local = getSessionLocalTime(currentTime);
+  const next = session.override ? null : getNextScheduledPhase(currentTime);
+  
+  return {
+    phase: session.phase,
+    scheduled_phase: getScheduledPhase(currentTime),
+    override: session.override ? session.override.phase : null,
+    calendar_enabled: CONFIG.SESSION_ENABLED,
+    timezone: CONFIG.SESSION_TIMEZONE,
+    local_date: local.date,
+    local_time: local.clock,
+    trading_day: isTradingDay(local.date),
+    trading_session: session.tradingSession,
+    next_phase: next ? next.phase : null,
+    next_phase_at: next ? next.time : null,
+    time: currentTime
+  };
+}
+
+/**
+ * Broadcasts the session state to all clients
+ */
+function broadcastSessionState() {
+  emitToAll('session_state', getSessionState());
+}
+
+/**
+ * Uncrosses a symbol's book at the end of the auction call. Simulated liquidity is laid out
+ * around the indicative opening price, then the orders that cross trade at the one price that
+ * executes the most quantity (ties: the smallest imbalance, then the price nearest the indicative one).
+ * @param {object} stock - Stock object
+ * @param {number} indicativePrice - Opening price of the simulated market
+ * @returns {object|null} Opening trade { price, quantity, side }, or null if nothing crossed
+ */
+function uncrossOpeningAuction(stock, indicativePrice) {
+  setStockQuote(stock, indicativePrice, getQuoteState(stock).spread);
+  const book = orderBooks.get(stock.symbol_name);
+  if (!book) return null;
+  
+  refreshSimulatedLiquidity(stock, false);
+  if (book.bids.length === 0 || book.asks.length === 0 || book.bids[0].price < book.asks[0].price) {
+    return null;
+  }
+  
+  const lowest = book.asks[0].price;
+  const highest = book.bids[0].price;
+  const candidates = new Set([...book.bids, ...book.asks]
+    .map(order => order.price)
+    .filter(price => price >= lowest && price <= highest));
+  
+  let best = null;
+  for (const price of candidates) {
+    const demand = book.bids.filter(order => order.price >= price).reduce((sum, order) => sum + remainingQuantity(order), 0);
+    const supply = book.asks.filter(order => order.price <= price).reduce((sum, order) => sum + remainingQuantity(order), 0);
+    const cross = {
+      price,
+      volume: Math.min(demand, supply),
+      imbalance: Math.abs(demand - supply),
+      distance: Math.abs(price - indicativePrice),
+      side: demand >= supply ? 'buy' : 'sell'
+    };
+    if (!best || cross.volume > best.volume ||
+        (cross.volume === best.volume && (cross.imbalance < best.imbalance ||
+          (cross.imbalance === best.imbalance && cross.distance < best.distance)))) {
+      best = cross;
+    }
+  }
+  
+  // The eligible orders are the top of each side, so they fill in price-time priority
+  let unfilled = best.volume;
+  while (unfilled > 0) {
+    const bid = book.bids[0];
+    const ask = book.asks[0];
+    const quantity = Math.min(remainingQuantity(bid), remainingQuantity(ask), unfilled);
+    fillOrder(bid, quantity, best.price);
+    fillOrder(ask, quantity, best.price);
+    unfilled -= quantity;
+    
+    if (remainingQuantity(bid) === 0) book.bids.shift();
+    if (remainingQuantity(ask) === 0) book.asks.shift();
+  }
+  
+  return { price: best.price, quantity: best.volume, side: best.side };
+}
+
+/**
+ * Runs the opening auction: each simulated symbol opens within ±CONFIG.OPENING_AUCTION_GAP
+ * of its last price, or at the uncross price of the orders queued during the auction call,
+ * which opens its daily candle
+ */
+function runOpeningAuction() {
+  startTradingDay();
+  
+  let opened = 0;
+  let crossed = 0;
+  for (const stock of stockSymbols) {
+    if (isReplaySymbol(stock.symbol_name)) continue;
+    
+    const indicativePrice = getQuoteState(stock).mid * (1 + (random() * 2 - 1) * CONFIG.OPENING_AUCTION_GAP);
+    const openingTrade = uncrossOpeningAuction(stock, indicativePrice);
+    if (openingTrade) {
+      setStockQuote(stock, openingTrade.price, getQuoteState(stock).spread);
+      crossed++;
+    }
+    publishStockTick(stock, now(), openingTrade || undefined);
+    
+    const chart = symbolCharts.get(stock.symbol_name);
+    if (chart && chart.series['1D']) {
+      initializeCandle(chart.series['1D'], getIntervalDuration('1D'), chart.lastPrice);
+    }
+    opened++;
+  }
+  
+  markIndicesOpen();
+  console.log(`🔔 Opening auction uncrossed ${opened} symbols, ${crossed} with queued orders (session ${session.tradingSession})`);
+}
+
+/**
+ * Starts a new trading day: current prices become the previous close, and daily statistics,
+ * halts, limit bands and circuit breaker levels reset
+ */
+function startTradingDay() {
+  rollPreviousCloses();
+  resetAllDailyStats();
+  resetTradingStatuses();
+  session.tradingSession = getSessionLocalTime(now()).date;
+}
+
+/**
+ * Moves the market into a phase, running the opening auction when continuous trading starts
+ * @param {string} phase - Session phase
+ */
+function enterSessionPhase(phase) {
+  const previousPhase = session.phase;
+  session.phase = phase;
+  
+  if (phase === 'continuous' && previousPhase !== 'continuous') {
+    runOpeningAuction();
+  }
+  
+  console.log(`🕘 Session phase: ${previousPhase} → ${phase}`);
+  broadcastSessionState();
+}
+
+/**
+ * Follows the schedule (or the admin override) and switches phase when it changes
+ */
+function updateSession() {
+  const scheduledPhase = getScheduledPhase(now());
+  
+  // An override lasts until the schedule itself moves to another phase
+  if (session.override && session.override.scheduledPhase !== scheduledPhase) {
+    console.log(`🕘 Session override to ${session.override.phase} ended by the schedule`);
+    session.override = null;
+  }
+  
+  const phase = session.override ? session.override.phase : scheduledPhase;
+  if (phase !== session.phase) {
+    enterSessionPhase(phase);
+  }
+  
+  // Trading around the clock (no calendar), the day rolls over at local midnight
+  if (!CONFIG.SESSION_ENABLED && isMarketOpen() && getSessionLocalTime(now()).date !== session.tradingSession) {
+    startTradingDay();
+    markIndicesOpen();
+    console.log(`🕘 New trading day ${session.tradingSession}`);
+    broadcastSessionState();
+  }
+}
+
+/**
+ * Jumps the market to a phase until the schedule next changes (null returns to the schedule)
+ * @param {string|null} phase - Session phase or null
+ * @returns {string|null} Error message, or null on success
+ */
+function overrideSessionPhase(phase) {
+  if (phase !== null && !SESSION_PHASES.includes(phase)) {
+    return `phase must be one of ${SESSION_PHASES.join(', ')} (or null to follow the schedule)`;
+  }
+  
+  session.override = phase === null ? null : { phase, scheduledPhase: getScheduledPhase(now()) };
+  console.log(phase === null ? '🕘 Session override cleared' : `🕘 Session override: ${phase}`);
+  
+  if (sessionInterval) {
+    updateSession();
+  }
+  return null;
+}
+
+/**
+ * Starts following the session calendar (the market joins the current phase without an auction)
+ */
+function startSessionUpdates() {
+  if (sessionInterval) {
+    cancelInterval(sessionInterval);
+  }
+  
+  session.phase = session.override ? session.override.phase : getScheduledPhase(now());
+  if (session.phase === 'continuous') {
+    session.tradingSession = getSessionLocalTime(now()).date;
+  }
+  
+  sessionInterval = scheduleInterval(() => {
+    updateSession();
+  }, CONFIG.SESSION_CHECK_INTERVAL);
+  
+  console.log(`Session calendar started (${CONFIG.SESSION_ENABLED ? CONFIG.SESSION_TIMEZONE : 'disabled, trading around the clock'}, phase ${session.phase})`);
+}
+
+/**
+ * Stops following the session calendar
+ */
+function stopSessionUpdates() {
+  if (sessionInterval) {
+    cancelInterval(sessionInterval);
+    sessionInterval = null;
+  }
+}
+
+// ============================================
+// INSTRUMENT MASTER
+// ============================================
+
+// Country code of generated ISIN-like ids (ZZ is not assigned to any country)
+const GENERATED_ISIN_PREFIX = 'ZZ';
+
+/**
+ * Computes an ISIN check digit (letters count as two digits, A = 10 ... Z = 35, then the Luhn algorithm)
+ * @param {string} body - First 11 characters of the ISIN
+ * @returns {string} Check digit
+ */
+function getIsinCheckDigit(body) {
+  const digits = [...body].map(char => parseInt(char, 36)).join('');
+  let sum = 0;
+  for (let index = 0; index < digits.length; index++) {
+    let digit = Number(digits[digits.length - 1 - index]);
+    if (index % 2 === 0) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return String((10 - (sum % 10)) % 10);
+}
+
+/**
+ * Generates an ISIN-like id for a symbol: GENERATED_ISIN_PREFIX, the symbol's letters and digits
+ * (cut to 9 characters, zero-padded on the left) and a valid check digit
+ * @param {string} symbolName - Stock symbol
+ * @returns {string} 12-character id
+ */
+function generateIsin(symbolName) {
+  const code = symbolName.toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 9).padStart(9, '0');
+  const body = `${GENERATED_ISIN_PREFIX}${code}`;
+  return `${body}${getIsinCheckDigit(body)}`;
+}
+
+/**
+ * Builds an instrument with the default currency and lot size and price band tick sizes
+ * @param {string} symbolName - Stock symbol
+ * @param {string} name - Company name
+ * @param {string|null} sector - Sector code
+ * @param {number} initialPrice - Price the stock starts at
+ * @returns {object} Instrument
+ */
+function buildInstrument(symbolName, name, sector, initialPrice) {
+  return {
+    symbol_name: symbolName,
+    name,
+    isin: generateIsin(symbolName),
+    sector,
+    currency: CONFIG.DEFAULT_CURRENCY,
+    lot_size: CONFIG.DEFAULT_LOT_SIZE,
+    tick_size: null,
+    initial_price: initialPrice
+  };
+}
+
+/**
+ * Generates a random instrument (the universe when no instrument file is configured)
+ * @param {number} index - Index for unique identifier
+ * @returns {object} Instrument
+ */
+function generateInstrument(index) {
+  return buildInstrument(generateSymbol(index), generateCompanyName(), pickSector(), generateInitialPrice());
+}
+
+/**
+ * Normalizes and validates an instrument file row
+ * Columns: symbol (or symbol_name) and initial_price (or price) are required; name, isin, sector,
+ * currency, lot_size and tick_size are optional (tick_size omitted = price band tick sizes,
+ * sector omitted = a random sector, isin omitted = a generated id)
+ * @param {object} raw - Row from a CSV or JSON file
+ * @returns {object} Instrument
+ * @throws {Error} If the row is invalid
+ */
+function normalizeInstrument(raw) {
+  const row = Object.fromEntries(Object.entries(raw)
+    .filter(([, value]) => value !== '' && value !== null && value !== undefined)
+    .map(([key, value]) => [key.toLowerCase(), value]));
+  
+  const symbolName = row.symbol ?? row.symbol_name;
+  if (typeof symbolName !== 'string' || !/^[A-Za-z0-9._-]{1,20}$/.test(symbolName)) {
+    throw new Error(`invalid symbol ${JSON.stringify(symbolName)} (1-20 letters, digits, '.', '_' or '-')`);
+  }
+  const fail = (message) => { throw new Error(`${symbolName}: ${message}`); };
+  
+  const initialPrice = Number(row.initial_price ?? row.price);
+  if (!Number.isFinite(initialPrice) || initialPrice <= 0) {
+    fail('initial_price must be a positive number');
+  }
+  // Prices are kept to 3 decimals, so a tick size must be a whole number of thousandths
+  const tickSize = row.tick_size !== undefined ? Number(row.tick_size) : null;
+  if (tickSize !== null && !(tickSize >= 0.001 && isOnTickGrid(tickSize, 0.001))) {
+    fail('tick_size must be a multiple of 0.001');
+  }
+  const lotSize = row.lot_size !== undefined ? Number(row.lot_size) : CONFIG.DEFAULT_LOT_SIZE;
+  if (!Number.isInteger(lotSize) || lotSize < 1) {
+    fail('lot_size must be a whole number of at least 1');
+  }
+  const isin = row.isin !== undefined ? String(row.isin).toUpperCase() : generateIsin(symbolName);
+  if (!/^[A-Z]{2}[A-Z0-9]{9}[0-9]$/.test(isin)) {
+    fail(`isin ${isin} must be 2 letters, 9 letters or digits and a check digit`);
+  }
+  const currency = String(row.currency ?? CONFIG.DEFAULT_CURRENCY).toUpperCase();
+  if (!/^[A-Z]{3}$/.test(currency)) {
+    fail('currency must be a 3-letter code');
+  }
+  
+  return {
+    symbol_name: symbolName,
+    name: row.name !== undefined ? String(row.name) : symbolName,
+    isin,
+    sector: row.sector !== undefined ? String(row.sector).toUpperCase() : null,
+    currency,
+    lot_size: lotSize,
+    tick_size: tickSize !== null ? parseFloat(tickSize.toFixed(3)) : null,
+    initial_price: initialPrice
+  };
+}
+
+/**
+ * Loads CONFIG.INSTRUMENT_FILE as the symbol universe (replaces TOTAL_SYMBOLS):
+ * a .csv with a header row, or a .json array of instruments (or { instruments: [...] })
+ * @throws {Error} If the file can't be read or has an invalid or duplicate row
+ */
+function loadInstrumentFile() {
+  const filePath = path.resolve(CONFIG.INSTRUMENT_FILE);
+  const extension = path.extname(filePath).toLowerCase();
+  const content = fs.readFileSync(filePath, 'utf8');
+  
+  let rows;
+  if (extension === '.csv') {
+    rows = parseCsv(content);
+  } else if (extension === '.json') {
+    const parsed = JSON.parse(content);
+    rows = Array.isArray(parsed) ? parsed : parsed.instruments;
+  } else {
+    throw new Error(`Unsupported instrument file type: ${CONFIG.INSTRUMENT_FILE} (use .csv or .json)`);
+  }
+  if (!Array.isArray(rows) || rows.length === 0) {
+    throw new Error(`${CONFIG.INSTRUMENT_FILE}: no instruments`);
+  }
+  
+  const loaded = [];
+  const symbols = new Set();
+  const isins = new Set();
+  rows.forEach((row, index) => {
+    let instrument;
+    try {
+      instrument = normalizeInstrument(row);
+    } catch (error) {
+      throw new Error(`${CONFIG.INSTRUMENT_FILE} row ${index + 1}: ${error.message}`);
+    }
+    if (symbols.has(instrument.symbol_name) || isins.has(instrument.isin)) {
+      throw new Error(`${CONFIG.INSTRUMENT_FILE} row ${index + 1}: duplicate symbol or isin (${instrument.symbol_name}, ${instrument.isin})`);
+    }
+    symbols.add(instrument.symbol_name);
+    isins.add(instrument.isin);
+    loaded.push(instrument);
+  });
+  
+  referenceInstruments = loaded;
+  CONFIG.TOTAL_SYMBOLS = loaded.length;
+  console.log(`📇 Loaded ${loaded.length} instruments from ${CONFIG.INSTRUMENT_FILE}`);
+}
+
+/**
+ * Gets a symbol's lot size (order quantities must be a multiple of it)
+ * @param {string} symbolName - Stock symbol
+ * @returns {number} Lot size
+ */
+function getLotSize(symbolName) {
+  const instrument = instruments.get(symbolName);
+  return instrument ? instrument.lot_size : CONFIG.DEFAULT_LOT_SIZE;
+}
+
+/**
+ * Lists the instruments of the market: the live universe while it exists, otherwise the instrument file
+ * (a random universe is only generated when the first client connects)
+ * @returns {Array<object>} Instruments
+ */
+function getInstrumentList() {
+  if (instruments.size > 0) return [...instruments.values()];
+  return referenceInstruments || [];
+}
+
+// ============================================
+// SNAPSHOT PERSISTENCE
+// ============================================
+
+// Bumped whenever the snapshot layout changes (older snapshots are ignored)
+const SNAPSHOT_VERSION = 4;
+
+/**
+ * Serializes a chart (broadcast bookkeeping is not kept)
+ * @param {object} chart - Chart state
+ * @returns {object} Plain chart object
+ */
+function serializeChart(chart) {
+  const series = {};
+  for (const [interval, entry] of Object.entries(chart.series)) {
+    series[interval] = {
+      candles: entry.candles,
+      currentCandle: entry.currentCandle,
+      candleStartTime: entry.candleStartTime,
+      tickCount: entry.tickCount
+    };
+  }
+  return { ...chart, series };
+}
+
+/**
+ * Restores a serialized chart, adding series for intervals configured since it was saved
+ * @param {object} saved - Serialized chart
+ * @returns {object} Chart state
+ */
+function deserializeChart(saved) {
+  const chart = { ...saved, series: {} };
+  for (const [interval, durationMs] of Object.entries(CONFIG.CHART_INTERVALS)) {
+    const entry = saved.series[interval];
+    if (entry) {
+      chart.series[interval] = { ...entry, completedSinceBroadcast: [] };
+    } else {
+      chart.series[interval] = { candles: [], currentCandle: null, candleStartTime: null, tickCount: 0, completedSinceBroadcast: [] };
+      initializeCandle(chart.series[interval], durationMs, saved.lastPrice);
+    }
+  }
+  return chart;
+}
+
+/**
+ * Builds a snapshot of the simulated market (replayed symbols and open orders are not kept:
+ * replays re-attach on start and client orders are cancelled when their owners leave)
+ * @returns {object} Snapshot
+ */
+function buildSnapshot() {
+  const stocks = stockSymbols.filter(stock => !isReplaySymbol(stock.symbol_name));
+  const symbols = new Set(stocks.map(stock => stock.symbol_name));
+  const pick = (map) => [...map.entries()].filter(([symbolName]) => symbols.has(symbolName));
+  
+  return {
+    version: SNAPSHOT_VERSION,
+    saved_at: new Date().toISOString(),
+    simulation_time: now(),
+    stock_sequence: getStreamSeq('stocks'),
+    next_order_id: nextOrderId,
+    next_exec_id: nextExecId,
+    next_trade_id: nextTradeId,
+    trading_session: session.tradingSession,
+    instrument_file: referenceInstruments,
+    instruments: pick(instruments).map(([, instrument]) => instrument),
+    stocks,
+    quotes: pick(quoteStates),
+    charts: pick(symbolCharts).map(([symbolName, chart]) => [symbolName, serializeChart(chart)]),
+    trade_tapes: pick(tradeTapes),
+    accounts: [...accounts.values()].map(account => ({ ...account, positions: [...account.positions.entries()] })),
+    market_factors: { market: marketFactors.market, sectors: [...marketFactors.sectors.entries()] },
+    factor_exposures: pick(factorExposures),
+    indices: [...marketIndices.entries()].map(([indexId, index]) => [indexId, { ...index, chart: serializeChart(index.chart) }])
+  };
+}
+
+/**
+ * Writes a snapshot to CONFIG.SNAPSHOT_FILE (via a temporary file, so a crash never leaves half a snapshot)
+ * @param {string} reason - Why the snapshot is taken (for the log)
+ * @returns {boolean} True if a snapshot was written
+ */
+function saveSnapshot(reason) {
+  if (!CONFIG.SNAPSHOT_FILE || stockSymbols.length === 0) return false;
+  
+  try {
+    const filePath = path.resolve(CONFIG.SNAPSHOT_FILE);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(buildSnapshot()));
+    fs.renameSync(`${filePath}.tmp`, filePath);
+    console.log(`💾 Snapshot saved (${reason}): ${stockSymbols.length} symbols, ${accounts.size} accounts`);
+    return true;
+  } catch (error) {
+    console.error(`❌ Failed to save snapshot: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Restores the market from CONFIG.SNAPSHOT_FILE if one exists
+ * Halts don't survive a restart; in manual clock mode the clock resumes from the saved time.
+ * A snapshot saved with a different instrument file (or none) is ignored.
+ * @returns {boolean} True if a snapshot was restored
+ */
+function restoreSnapshot() {
+  if (!CONFIG.SNAPSHOT_FILE || !fs.existsSync(CONFIG.SNAPSHOT_FILE)) return false;
+  
+  let snapshot;
+  try {
+    snapshot = JSON.parse(fs.readFileSync(CONFIG.SNAPSHOT_FILE, 'utf8'));
+  } catch (error) {
+    console.warn(`⚠️  Ignoring unreadable snapshot ${CONFIG.SNAPSHOT_FILE}: ${error.message}`);
+    return false;
+  }
+  if (snapshot.version !== SNAPSHOT_VERSION) {
+    console.warn(`⚠️  Ignoring snapshot ${CONFIG.SNAPSHOT_FILE}: version ${snapshot.version}, expected ${SNAPSHOT_VERSION}`);
+    return false;
+  }
+  if (JSON.stringify(snapshot.instrument_file) !== JSON.stringify(referenceInstruments)) {
+    console.warn(`⚠️  Ignoring snapshot ${CONFIG.SNAPSHOT_FILE}: the instrument file changed since it was saved`);
+    return false;
+  }
+  
+  clearAllData();
+  
+  if (CONFIG.CLOCK_MODE === 'manual' && snapshot.simulation_time > simulationTime) {
+    simulationTime = snapshot.simulation_time;
+  }
+  getStreamBuffer('stocks').seq = snapshot.stock_sequence;
+  nextOrderId = snapshot.next_order_id;
+  nextExecId = snapshot.next_exec_id;
+  session.tradingSession = snapshot.trading_session;
+  
+  snapshot.instruments.forEach(instrument => instruments.set(instrument.symbol_name, instrument));
+  stockSymbols = snapshot.stocks;
+  snapshot.quotes.forEach(([symbolName, quote]) => quoteStates.set(symbolName, quote));
+  snapshot.charts.forEach(([symbolName, chart]) => symbolCharts.set(symbolName, deserializeChart(chart)));
+  nextTradeId = snapshot.next_trade_id;
+  snapshot.trade_tapes.forEach(([symbolName, tape]) => tradeTapes.set(symbolName, tape));
+  snapshot.accounts.forEach(account => accounts.set(account.user_id, { ...account, positions: new Map(account.positions) }));
+  marketFactors.market = snapshot.market_factors.market;
+  snapshot.market_factors.sectors.forEach(([sector, level]) => marketFactors.sectors.set(sector, level));
+  snapshot.factor_exposures.forEach(([symbolName, exposure]) => factorExposures.set(symbolName, exposure));
+  snapshot.indices.forEach(([indexId, index]) => marketIndices.set(indexId, { ...index, chart: deserializeChart(index.chart) }));
+  resetTradingStatuses();
+  
+  console.log(`💾 Snapshot restored from ${snapshot.saved_at}: ${stockSymbols.length} symbols, ${accounts.size} accounts`);
+  return true;
+}
+
+/**
+ * Deletes the snapshot file (the next start builds a fresh universe)
+ */
+function deleteSnapshot() {
+  if (CONFIG.SNAPSHOT_FILE && fs.existsSync(CONFIG.SNAPSHOT_FILE)) {
+    fs.unlinkSync(CONFIG.SNAPSHOT_FILE);
+    console.log('💾 Snapshot deleted');
+  }
+}
+
+/**
+ * Starts periodic snapshots (on wall time, so they continue while the simulation clock is paused)
+ */
+function startSnapshotTimer() {
+  if (!CONFIG.SNAPSHOT_FILE || snapshotTimer) return;
+  
+  snapshotTimer = setInterval(() => {
+    saveSnapshot('periodic');
+  }, CONFIG.SNAPSHOT_INTERVAL);
+}
+
+/**
+ * Stops periodic snapshots
+ */
+function stopSnapshotTimer() {
+  if (snapshotTimer) {
+    clearInterval(snapshotTimer);
+    snapshotTimer = null;
+  }
+}
+
+/**
+ * Applies CONFIG.IDLE_POLICY once the last client has disconnected:
+ * 'pause' stops the loops and keeps the market, 'continue' keeps it running,
+ * 'reset' throws it away (and its snapshot) so the next client gets a new universe
+ */
+function handleIdleMarket() {
+  switch (CONFIG.IDLE_POLICY) {
+    case 'continue':
+      console.log('No clients connected - market keeps running');
+      saveSnapshot('idle');
+      break;
+    case 'reset':
+      console.log('No clients connected - stopping data generation and clearing memory');
+      stopAllUpdates();
+      clearAllData();
+      deleteSnapshot();
+      break;
+    default:
+      console.log('No clients connected - pausing data generation');
+      stopAllUpdates();
+      saveSnapshot('idle');
+  }
+}
+
+// ============================================
+// INITIALIZATION
+// ============================================
+
+/**
+ * Creates a stock from an instrument (with a random spread) and registers the instrument
+ * @param {object} instrument - Instrument from the instrument file or generateInstrument
+ * @returns {object} Stock object
+ */
+function createStock(instrument) {
+  const sector = instrument.sector || pickSector();
+  instruments.set(instrument.symbol_name, { ...instrument, sector });
+  
+  const mid = instrument.initial_price;
+  const spread = CONFIG.MIN_SPREAD + random() * (CONFIG.MAX_SPREAD - CONFIG.MIN_SPREAD);
+  const tick = getTickSize(mid, instrument.symbol_name);
+  
+  const stock = {
+    symbol_name: instrument.symbol_name,
+    buy_value: mid,
+    name: instrument.name,
+    buy_change: '+0.00%',
+    sell_value: mid,
+    sell_change: '+0.00%',
+    previous_close: roundToTick(mid, tick),
+    tick_size: tick,
+    sector,
+    trading_status: 'trading',
+    ...createDailyStats()
+  };
+  setStockQuote(stock, mid, spread);
+  return stock;
+}
+
+/**
+ * Initializes all stock symbols from the instrument file, or random instruments if there is none
+ */
+function initializeStocks() {
+  const universe = referenceInstruments ||
+    Array.from({ length: CONFIG.TOTAL_SYMBOLS }, (_, index) => generateInstrument(index));
+  console.log(`Initializing ${universe.length} stock symbols...`);
+  
+  stockSymbols = universe.map(instrument => createStock(instrument));
+  
+  console.log('Stock symbols initialized successfully');
+}
+
+/**
+ * Clears all data arrays to reduce memory
+ */
+function clearAllData() {
+  console.log('Clearing all data arrays...');
+  stockSymbols = [];
+  changedStockSymbols.clear();
+  clearTapes();
+  clearChartData();
+  clearOrderBooks();
+  resetTradingStatuses();
+  symbolModels.clear();
+  quoteStates.clear();
+  instruments.clear();
+  clearIndices();
+  accounts.clear();
+  resetStreams();
+  console.log('All data cleared');
+}
+
+// ============================================
+// STOCK UPDATE LOGIC
+// ============================================
+
+/**
+ * Publishes a stock's new prices to the delta feed, its chart and its order book,
+ * with a simulated trade at the new price
+ * @param {object} stock - Stock object that was just updated
+ * @param {number} time - Time of the tick in milliseconds (default: now)
+ * @param {object|null} trade - Trade printed with the tick { price, quantity, side } (default: simulated; null = none)
+ */
+function publishStockTick(stock, time = now(), trade = undefined) {
+  applyPriceLimits(stock);
+  markStockChanged(stock);
+  const chart = symbolCharts.get(stock.symbol_name);
+  const tickTrade = trade !== undefined ? trade : simulateTickTrade(stock, chart ? chart.lastPrice : getStockMidPrice(stock));
+  recordChartTick(stock, time);
+  recordTrade(stock, tickTrade, time);
+  refreshSimulatedLiquidity(stock);
+}
+
+/**
+ * Updates random stocks at configured interval
+ */
+function startStockUpdates() {
+  if (stockUpdateInterval) {
+    cancelInterval(stockUpdateInterval);
+  }
+  
+  stockUpdateInterval = scheduleInterval(() => {
+    // Prices are frozen outside continuous trading
+    if (!isMarketOpen()) return;
+    
+    const randomIndices = getRandomIndices(
+      CONFIG.STOCKS_TO_UPDATE,
+      stockSymbols.length
+    );
+    
+    updateTradingStatuses();
+    stepMarketFactors();
+    
+    for (const index of randomIndices) {
+      if (isReplaySymbol(stockSymbols[index].symbol_name)) continue;
+      if (stockSymbols[index].trading_status === 'halted') continue;
+      
+      updateStockPrices(stockSymbols[index]);
+      publishStockTick(stockSymbols[index]);
+    }
+  }, CONFIG.UPDATE_INTERVAL);
+  
+  console.log(`Stock update process started (every ${CONFIG.UPDATE_INTERVAL}ms)`);
+}
+
+/**
+ * Stops stock updates
+ */
+function stopStockUpdates() {
+  if (stockUpdateInterval) {
+    cancelInterval(stockUpdateInterval);
+    stockUpdateInterval = null;
+    console.log('Stock update process stopped');
+  }
+}
+
+/**
+ * Broadcasts stock data to connected clients according to their subscriptions
+ */
+function startBroadcasting() {
+  if (broadcastInterval) {
+    cancelInterval(broadcastInterval);
+  }
+  
+  // Quotes are synced with the books first so stock_update and depth_update agree on the top of book
+  broadcastInterval = scheduleInterval(() => {
+    syncChangedQuotes();
+    broadcastStockUpdates();
+    broadcastDepthUpdates();
+  }, CONFIG.BROADCAST_INTERVAL);
+  
+  console.log(`Broadcasting started (every ${CONFIG.BROADCAST_INTERVAL}ms)`);
+}
+
+/**
+ * Stops broadcasting
+ */
+function stopBroadcasting() {
+  if (broadcastInterval) {
+    cancelInterval(broadcastInterval);
+    broadcastInterval = null;
+    console.log('Broadcasting stopped');
+  }
+}
+
+/**
+ * Sends the trades printed since the last batch (table_update) at the configured rate
+ */
+function startTableUpdates() {
+  if (tableUpdateInterval) {
+    cancelInterval(tableUpdateInterval);
+  }
+  
+  const intervalMs = 1000 / CONFIG.TABLE_UPDATES_PER_SECOND;
+  
+  tableUpdateInterval = scheduleInterval(() => {
+    broadcastTapeUpdates();
+  }, intervalMs);
+  
+  console.log(`Table updates started (${CONFIG.TABLE_UPDATES_PER_SECOND} trade batches/second)`);
+}
+
+/**
+ * Stops table updates
+ */
+function stopTableUpdates() {
+  if (tableUpdateInterval) {
+    cancelInterval(tableUpdateInterval);
+    tableUpdateInterval = null;
+    console.log('Table updates stopped');
+  }
+}
+
+/**
+ * Broadcasts account-driven homepage updates at configured interval
+ */
+function startHomepageUpdates() {
+  if (homepageUpdateInterval) {
+    cancelInterval(homepageUpdateInterval);
+  }
+  
+  homepageUpdateInterval = scheduleInterval(() => {
+    broadcastHomepageUpdates();
+  }, CONFIG.HOMEPAGE_UPDATE_INTERVAL);
+  
+  console.log(`Homepage updates started (every ${CONFIG.HOMEPAGE_UPDATE_INTERVAL}ms)`);
+}
+
+/**
+ * Stops homepage updates
+ */
+function stopHomepageUpdates() {
+  if (homepageUpdateInterval) {
+    cancelInterval(homepageUpdateInterval);
+    homepageUpdateInterval = null;
+    console.log('Homepage updates stopped');
+  }
+}
+
+/**
+ * Starts chart updates at configured interval
+ */
+function startChartUpdates() {
+  if (chartUpdateInterval) {
+    cancelInterval(chartUpdateInterval);
+  }
+  
+  chartUpdateInterval = scheduleInterval(() => {
+    updateChartData();
+    broadcastChartUpdate();
+  }, CONFIG.CHART_UPDATE_INTERVAL);
+  
+  console.log(`Chart updates started (every ${CONFIG.CHART_UPDATE_INTERVAL}ms)`);
+  console.log(`Candle intervals: ${Object.keys(CONFIG.CHART_INTERVALS).join(', ')} (default: ${CONFIG.CHART_DEFAULT_INTERVAL})`);
+  console.log(`📊 REALISTIC MODE: Trend-following with mean reversion`);
+}
+
+/**
+ * Stops chart updates
+ */
+function stopChartUpdates() {
+  if (chartUpdateInterval) {
+    cancelInterval(chartUpdateInterval);
+    chartUpdateInterval = null;
+    console.log('Chart updates stopped');
+  }
+}
+
+/**
+ * Starts all update processes
+ */
+function startAllUpdates() {
+  console.log('Starting all update processes...');
+  
+  // Initialize data if not already initialized
+  const freshUniverse = stockSymbols.length === 0;
+  if (freshUniverse) {
+    // A fresh universe replays the seeded sequence from the start
+    resetRandom();
+    initializeStocks();
+    resetTradingStatuses();
+  }
+  if (symbolCharts.size === 0) {
+    initializeChartData();
+  }
+  if (orderBooks.size === 0) {
+    initializeOrderBooks();
+  }
+  if (marketIndices.size === 0) {
+    markIndicesOpen();
+  }
+  if (freshUniverse || [...replay.symbols].some(symbolName => !findStock(symbolName))) {
+    // Replayed symbols join every new (or restored) universe at the current replay position
+    attachReplay();
+  }
+  
+  // Start all update processes
+  startSessionUpdates();
+  startStockUpdates();
+  startBroadcasting();
+  startTableUpdates();
+  startHomepageUpdates();
+  startChartUpdates();
+  startIndexUpdates();
+  startReplayUpdates();
+  startScenarioUpdates();
+  
+  console.log('All update processes started');
+}
+
+/**
+ * Stops all update processes
+ */
+function stopAllUpdates() {
+  console.log('Stopping all update processes...');
+  
+  stopStockUpdates();
+  stopBroadcasting();
+  stopTableUpdates();
+  stopHomepageUpdates();
+  stopChartUpdates();
+  stopIndexUpdates();
+  stopReplayUpdates();
+  stopScenarioUpdates();
+  stopSessionUpdates();
+  
+  console.log('All update processes stopped');
+}
+
+// ============================================
+// ADMIN API (RUNTIME CONFIGURATION)
+// ============================================
+
+// Settings that can be changed at runtime, with their validation rules and the loops to restart
+const CONFIG_SCHEMA = {
+  TOTAL_SYMBOLS: { type: 'integer', min: 1, max: 5000, apply: () => resizeStockUniverse() },
+  UPDATE_INTERVAL: { type: 'integer', min: 10, max: 60000, restart: ['stocks', 'replay', 'scenario'] },
+  BROADCAST_INTERVAL: { type: 'integer', min: 50, max: 60000, restart: ['broadcast'] },
+  STOCKS_TO_UPDATE: { type: 'integer', min: 0, max: 5000 },
+  PRICE_CHANGE_RANGE: { type: 'number', min: 0, max: 0.5 },
+  TICK_VOLUME_MEAN: { type: 'integer', min: 1, max: 1000000 },
+  PRICE_LIMIT_WINDOW: { type: 'integer', min: 1000, max: 3600000 },
+  LIMIT_BAND_PERCENT: { type: 'number', min: 0.001, max: 1 },
+  LIMIT_BAND_SIGMAS: { type: 'number', min: 0, max: 100 },
+  LIMIT_VOLATILITY_DECAY: { type: 'number', min: 0, max: 0.9999 },
+  LIMIT_VOLATILITY_WARMUP: { type: 'integer', min: 1, max: 10000 },
+  LIMIT_RELEASE_RATIO: { type: 'number', min: 0, max: 1 },
+  LIMIT_STATE_DURATION: { type: 'integer', min: 0, max: 3600000 },
+  HALT_MOVE_PERCENT: { type: 'number', min: 0.001, max: 10 },
+  HALT_DURATION: { type: 'integer', min: 1000, max: 86400000 },
+  CIRCUIT_BREAKER_SESSIONLESS_HALT: { type: 'integer', min: 1000, max: 86400000 },
+  MIN_SPREAD: { type: 'number', min: 0, max: 0.5 },
+  SPREAD_VOLATILITY: { type: 'number', min: 0, max: 1 },
+  SPREAD_MEAN_REVERSION: { type: 'number', min: 0, max: 1 },
+  MAX_SPREAD: { type: 'number', min: 0, max: 0.5 },
+  TAPE_HISTORY_SIZE: { type: 'integer', min: 1, max: 10000 },
+  TABLE_UPDATES_PER_SECOND: { type: 'number', min: 0.1, max: 100, restart: ['table'] },
+  HOMEPAGE_UPDATE_INTERVAL: { type: 'integer', min: 100, max: 600000, restart: ['homepage'] },
+  CHART_UPDATE_INTERVAL: { type: 'integer', min: 100, max: 600000, restart: ['chart'] },
+  INDEX_UPDATE_INTERVAL: { type: 'integer', min: 100, max: 600000, restart: ['index'] },
+  MARKET_FACTOR_VOLATILITY: { type: 'number', min: 0, max: 1 },
+  SECTOR_FACTOR_VOLATILITY: { type: 'number', min: 0, max: 1 },
+  CHART_VOLATILITY: { type: 'number', min: 0, max: 0.1 },
+  TREND_CHANGE_PROBABILITY: { type: 'number', min: 0, max: 1 },
+  STRONG_MOVE_PROBABILITY: { type: 'number', min: 0, max: 1 },
+  MEAN_REVERSION_FACTOR: { type: 'number', min: 0, max: 1 },
+  ORDER_BOOK_LEVELS: { type: 'integer', min: 1, max: 50 },
+  ORDER_BOOK_LEVEL_STEP: { type: 'number', min: 0, max: 0.1 },
+  ORDER_BOOK_LEVEL_SIZE_MIN: { type: 'integer', min: 1, max: 1000000 },
+  ORDER_BOOK_LEVEL_SIZE_MAX: { type: 'integer', min: 1, max: 1000000 },
+  ORDER_BOOK_ORDERS_PER_LEVEL: { type: 'integer', min: 1, max: 100 },
+  DEPTH_LEVELS: { type: 'integer', min: 1, max: 100 },
+  MAX_ORDER_QUANTITY: { type: 'integer', min: 1, max: 1000000000 },
+  RESYNC_BUFFER_SIZE: { type: 'integer', min: 0, max: 10000 },
+  RESYNC_GRACE_PERIOD: { type: 'integer', min: 0, max: 3600000 },
+};
+
+// Loops that can be restarted after a change (only restarted while running)
+const RESTARTABLE_LOOPS = {
+  stocks: { isRunning: () => stockUpdateInterval !== null, start: () => startStockUpdates() },
+  broadcast: { isRunning: () => broadcastInterval !== null, start: () => startBroadcasting() },
+  table: { isRunning: () => tableUpdateInterval !== null, start: () => startTableUpdates() },
+  homepage: { isRunning: () => homepageUpdateInterval !== null, start: () => startHomepageUpdates() },
+  chart: { isRunning: () => chartUpdateInterval !== null, start: () => startChartUpdates() },
+  index: { isRunning: () => indexUpdateInterval !== null, start: () => startIndexUpdates() },
+  replay: { isRunning: () => replayInterval !== null, start: () => startReplayUpdates() },
+  scenario: { isRunning: () => scenarioInterval !== null, start: () => startScenarioUpdates() },
+};
+
+/**
+ * Checks an admin token against CONFIG.ADMIN_TOKEN (constant-time comparison)
+ * @param {*} token - Token presented by the client
+ * @returns {boolean} True if valid
+ */
+function isValidAdminToken(token) {
+  if (!CONFIG.ADMIN_TOKEN || typeof token !== 'string') return false;
+  
+  const expected = Buffer.from(CONFIG.ADMIN_TOKEN);
+  const actual = Buffer.from(token);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Express middleware guarding the admin REST API
+ * Accepts 'Authorization: Bearer <token>' or an 'x-admin-token' header
+ */
+function requireAdmin(req, res, next) {
+  if (!CONFIG.ADMIN_TOKEN) {
+    return res.status(503).json({ error: 'Admin API disabled (set SIM_ADMIN_TOKEN to enable it)' });
+  }
+  
+  const authorization = req.get('authorization') || '';
+  const token = authorization.startsWith('Bearer ') ? authorization.slice(7) : req.get('x-admin-token');
+  if (!isValidAdminToken(token)) {
+    return res.status(401).json({ error: 'Invalid or missing admin token' });
+  }
+  next();
+}
+
+/**
+ * Gets the current values of every runtime-editable setting
+ * @returns {object} Setting name -> value
+ */
+function getEditableConfig() {
+  return Object.fromEntries(Object.keys(CONFIG_SCHEMA).map(key => [key, CONFIG[key]]));
+}
+
+/**
+ * Validates a set of config changes as a whole (nothing is applied if any change is invalid)
+ * @param {object} changes - Setting name -> new value
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validateConfigChanges(changes) {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes) || Object.keys(changes).length === 0) {
+    return ['Expected an object of setting names to new values'];
+  }
+  
+  const errors = [];
+  for (const [key, value] of Object.entries(changes)) {
+    const rule = CONFIG_SCHEMA[key];
+    if (!rule) {
+      errors.push(`${key} is not a runtime-editable setting`);
+    } else if (typeof value !== 'number' || !Number.isFinite(value) || (rule.type === 'integer' && !Number.isInteger(value))) {
+      errors.push(`${key} must be ${rule.type === 'integer' ? 'a whole number' : 'a number'}`);
+    } else if (value < rule.min || value > rule.max) {
+      errors.push(`${key} must be between ${rule.min} and ${rule.max}`);
+    }
+  }
+  
+  // Cross-field rules, checked against the config as it would be after the change
+  const merged = { ...getEditableConfig(), ...changes };
+  if (merged.MIN_SPREAD > merged.MAX_SPREAD) {
+    errors.push('MIN_SPREAD must not exceed MAX_SPREAD');
+  }
+  if (merged.ORDER_BOOK_LEVEL_SIZE_MIN > merged.ORDER_BOOK_LEVEL_SIZE_MAX) {
+    errors.push('ORDER_BOOK_LEVEL_SIZE_MIN must not exceed ORDER_BOOK_LEVEL_SIZE_MAX');
+  }
+  if (merged.LIMIT_BAND_PERCENT >= merged.HALT_MOVE_PERCENT) {
+    errors.push('LIMIT_BAND_PERCENT must be below HALT_MOVE_PERCENT');
+  }
+  if (referenceInstruments && changes.TOTAL_SYMBOLS !== undefined && changes.TOTAL_SYMBOLS !== referenceInstruments.length) {
+    errors.push(`TOTAL_SYMBOLS is fixed by the instrument file (${referenceInstruments.length} instruments)`);
+  }
+  
+  return errors;
+}
+
+/**
+ * Validates and applies config changes, restarts the affected loops and broadcasts config_changed
+ * @param {object} changes - Setting name -> new value
+ * @returns {object} { errors } if invalid, otherwise { changes: { key: { from, to } } }
+ */
+function applyConfigChanges(changes) {
+  const errors = validateConfigChanges(changes);
+  if (errors.length > 0) {
+    return { errors };
+  }
+  
+  const applied = {};
+  const restarts = new Set();
+  const appliers = new Set();
+  for (const [key, value] of Object.entries(changes)) {
+    if (CONFIG[key] === value) continue;
+    
+    applied[key] = { from: CONFIG[key], to: value };
+    CONFIG[key] = value;
+    (CONFIG_SCHEMA[key].restart || []).forEach(loop => restarts.add(loop));
+    if (CONFIG_SCHEMA[key].apply) appliers.add(CONFIG_SCHEMA[key].apply);
+  }
+  
+  // Data changes only matter while a market is running; otherwise they apply at the next start
+  if (stockSymbols.length > 0) {
+    appliers.forEach(apply => apply());
+  }
+  for (const loop of restarts) {
+    if (RESTARTABLE_LOOPS[loop].isRunning()) {
+      RESTARTABLE_LOOPS[loop].start();
+    }
+  }
+  
+  if (Object.keys(applied).length > 0) {
+    console.log(`⚙️  Config changed: ${Object.entries(applied).map(([key, change]) => `${key} ${change.from} -> ${change.to}`).join(', ')}`);
+    const event = { changes: applied, config: getEditableConfig(), time: now() };
+    emitToAll('config_changed', event);
+    adminNamespace.emit('config_changed', event);
+  }
+  
+  return { changes: applied };
+}
+
+/**
+ * Drops everything the simulator keeps for a symbol that leaves the market: its open orders
+ * (cancelled), per-symbol state, stream buffers and every client's chart, stock, depth and
+ * FIX market data subscriptions to it
+ * @param {string} symbolName - Stock symbol
+ */
+function removeSymbolState(symbolName) {
+  for (const order of [...openOrders.values()]) {
+    if (order.symbol_name === symbolName) {
+      cancelOrder(order, 'Symbol removed from the market');
+    }
+  }
+  
+  for (const state of [symbolCharts, orderBooks, quoteStates, instruments, tradeTapes, symbolModels,
+    priceLimitStates, factorExposures, depthStates, indexPreviousMids]) {
+    state.delete(symbolName);
+  }
+  changedStockSymbols.delete(symbolName);
+  changedBookSymbols.delete(symbolName);
+  
+  for (const socket of getConnectedClients()) {
+    stopChartUpdatesForClient(socket, symbolName);
+    socket.leave(depthRoom(symbolName));
+    const subscription = clientStockSubscriptions.get(socket.id);
+    if (subscription) {
+      subscription.symbols.delete(symbolName);
+    }
+  }
+  for (const session of fixSessions.values()) {
+    for (const request of session.marketData.values()) {
+      request.symbols.delete(symbolName);
+    }
+  }
+  
+  streamBuffers.delete(depthRoom(symbolName));
+  for (const interval of Object.keys(CONFIG.CHART_INTERVALS)) {
+    streamBuffers.delete(chartRoom(symbolName, interval));
+  }
+}
+
+/**
+ * Grows or shrinks the synthetic stock universe to CONFIG.TOTAL_SYMBOLS
+ * New symbols get charts and order books; removed symbols have their open orders cancelled
+ * and their state dropped (removeSymbolState).
+ * Every client receives a fresh stock snapshot afterwards.
+ */
+function resizeStockUniverse() {
+  const replayed = stockSymbols.filter(stock => isReplaySymbol(stock.symbol_name));
+  const synthetic = stockSymbols.filter(stock => !isReplaySymbol(stock.symbol_name));
+  
+  if (CONFIG.TOTAL_SYMBOLS >= synthetic.length) {
+    for (let index = synthetic.length; index < CONFIG.TOTAL_SYMBOLS; index++) {
+      const stock = createStock(generateInstrument(index));
+      synthetic.push(stock);
+      symbolCharts.set(stock.symbol_name, createSymbolChart(stock));
+      orderBooks.set(stock.symbol_name, { bids: [], asks: [] });
+      refreshSimulatedLiquidity(stock);
+    }
+  } else {
+    for (const stock of synthetic.splice(CONFIG.TOTAL_SYMBOLS)) {
+      removeSymbolState(stock.symbol_name);
+    }
+  }
+  
+  stockSymbols = [...synthetic, ...replayed];
+  refreshAccountWatchlists();
+  console.log(`Stock universe resized to ${synthetic.length} symbols`);
+  
+  for (const socket of getConnectedClients()) {
+    sendStockSnapshot(socket);
+  }
+}
+
+// ============================================
+// PAYLOAD ENCODINGS (MESSAGEPACK & COLUMNAR)
+// ============================================
+
+// Encodings a client can negotiate at connect with the handshake option encoding (json is the default)
+const PAYLOAD_ENCODINGS = ['json', 'msgpack', 'columnar'];
+
+// Socket.IO sockets with a compact encoding (left out of room broadcasts and sent their own encoding)
+const ENCODED_CLIENTS_ROOM = 'encoding:compact';
+
+// Field dictionary of each row type, in the order of a columnar block's columns
+const COLUMNAR_FIELDS = {
+  stock: ['symbol_name', 'name', 'buy_value', 'buy_change', 'sell_value', 'sell_change', 'previous_close', 'tick_size', 'sector', 'trading_status', 'open', 'high', 'low', 'volume', 'turnover', 'vwap'],
+  trade: ['trade_id', 'symbol_code', 'symbol_name', 'price', 'change', 'last_order_value', 'last_order_qty', 'aggressor_side', 'timestamp'],
+  candle: ['time', 'open', 'high', 'low', 'close', 'volume']
+};
+
+// Events carrying rows: event -> [payload field holding the rows, row type]
+const ROW_EVENTS = {
+  stock_update: ['stocks', 'stock'],
+  table_update: ['trades', 'trade'],
+  chart_update: ['data', 'candle']
+};
+
+// Row fields formatted as strings in JSON ('+1.25%', '12.5000') and sent as numbers in compact encodings
+const COMPACT_NUMERIC_FIELDS = ['buy_change', 'sell_change', 'change', 'price', 'last_order_value'];
+
+// Compacted payloads (payload -> Map<encoding, payload>) and their MessagePack bytes, so a
+// broadcast is encoded once however many clients negotiated the encoding
+const compactPayloadCache = new WeakMap();
+const msgpackCache = new WeakMap();
+
+/**
+ * Gets the payload encoding a client asked for in its handshake (auth or query encoding)
+ * @param {object} handshake - Socket.IO handshake, or { auth, query } of a plain client
+ * @returns {string|null} Encoding, or null if it isn't supported
+ */
+function getHandshakeEncoding(handshake) {
+  const encoding = (handshake.auth && handshake.auth.encoding) || handshake.query.encoding || 'json';
+  return PAYLOAD_ENCODINGS.includes(encoding) ? encoding : null;
+}
+
+/**
+ * Converts a row's formatted numbers back to numbers
+ * @param {object} row - Stock, trade or candle
+ * @returns {object} Row with numeric values
+ */
+function toNumericRow(row) {
+  const numeric = { ...row };
+  for (const field of COMPACT_NUMERIC_FIELDS) {
+    if (typeof numeric[field] === 'string') {
+      numeric[field] = parseFloat(numeric[field]);
+    }
+  }
+  return numeric;
+}
+
+/**
+ * Turns rows into a columnar block: one array per dictionary field, in dictionary order
+ * @param {Array<object>} rows - Rows (already numeric)
+ * @param {string} rowType - Row type in COLUMNAR_FIELDS
+ * @returns {object} { columnar: row type, count, columns }
+ */
+function toColumnarBlock(rows, rowType) {
+  return {
+    columnar: rowType,
+    count: rows.length,
+    columns: COLUMNAR_FIELDS[rowType].map(field => rows.map(row => row[field] ?? null))
+  };
+}
+
+/**
+ * Gets an event payload in a compact encoding: rows become numeric (and columnar blocks for
+ * the columnar encoding); payloads without rows are unchanged
+ * @param {string} encoding - 'msgpack' or 'columnar'
+ * @param {string} event - Event name
+ * @param {*} payload - JSON payload
+ * @returns {*} Compacted payload (cached per payload object)
+ */
+function compactPayload(encoding, event, payload) {
+  const rowEvent = ROW_EVENTS[event];
+  if (!rowEvent || !payload || !Array.isArray(payload[rowEvent[0]])) return payload;
+  
+  let cached = compactPayloadCache.get(payload);
+  if (!cached) {
+    cached = new Map();
+    compactPayloadCache.set(payload, cached);
+  }
+  if (!cached.has(encoding)) {
+    const [field, rowType] = rowEvent;
+    const rows = payload[field].map(toNumericRow);
+    cached.set(encoding, { ...payload, [field]: encoding === 'columnar' ? toColumnarBlock(rows, rowType) : rows });
+  }
+  return cached.get(encoding);
+}
+
+/**
+ * Encodes a value as MessagePack (cached per object)
+ * @param {*} value - Value to encode
+ * @returns {Buffer} MessagePack bytes
+ */
+function encodeMsgpack(value) {
+  if (value === null || typeof value !== 'object') {
+    return Buffer.from(msgpack.encode(value));
+  }
+  if (!msgpackCache.has(value)) {
+    msgpackCache.set(value, Buffer.from(msgpack.encode(value)));
+  }
+  return msgpackCache.get(value);
+}
+
+/**
+ * Makes a client receive every payload in the encoding it negotiated
+ * Rows are compacted here; MessagePack is framed by the transport (a binary Socket.IO
+ * argument, or a binary WebSocket frame for plain clients - see createPlainClient)
+ * @param {object} socket - Socket.io socket object (or a plain client)
+ * @param {string} encoding - Negotiated encoding
+ */
+function applyPayloadEncoding(socket, encoding) {
+  socket.data.encoding = encoding;
+  if (encoding === 'json') return;
+  
+  const emit = socket.emit.bind(socket);
+  const plain = plainClients.has(socket.id);
+  socket.emit = (event, payload) => {
+    const compacted = compactPayload(encoding, event, payload);
+    return emit(event, encoding === 'msgpack' && !plain ? encodeMsgpack(compacted) : compacted);
+  };
+  if (!plain) {
+    socket.join(ENCODED_CLIENTS_ROOM);
+  }
+  
+  // Confirms the encoding (columnar clients get the field dictionary before any rows)
+  socket.emit('encoding', encoding === 'columnar' ? { encoding, fields: COLUMNAR_FIELDS } : { encoding });
+}
+
+/**
+ * Gets the connected Socket.IO sockets that negotiated a compact encoding
+ * @returns {Array<object>} Sockets
+ */
+function getEncodedSockets() {
+  return [...(io.sockets.adapter.rooms.get(ENCODED_CLIENTS_ROOM) || [])]
+    .map(socketId => io.sockets.sockets.get(socketId))
+    .filter(Boolean);
+}
+
+// Socket.IO clients asking for an unknown encoding are refused at the handshake
+io.use((socket, next) => {
+  if (!getHandshakeEncoding(socket.handshake)) {
+    return next(new Error(`Unsupported encoding (use ${PAYLOAD_ENCODINGS.join(', ')})`));
+  }
+  next();
+});
+
+// ============================================
+// SOCKET.IO EVENTS
+// ============================================
+
+/**
+ * Sets up a newly connected client: starts the market for the first one, sends the connect
+ * snapshots and registers the client event handlers
+ * Plain WebSocket and SSE clients go through here too (see createPlainClient)
+ * @param {object} socket - Socket.io socket object (or a plain client)
+ */
+function handleClientConnection(socket) {
+  applyPayloadEncoding(socket, getHandshakeEncoding(socket.handshake));
+  connectedClients++;
+  console.log(`Client connected: ${socket.id} (Total clients: ${connectedClients})`);
+  
+  // Start updates if this is the first client
+  if (connectedClients === 1) {
+    console.log('First client connected - starting data generation');
+    startAllUpdates();
+  }
+  
+  // New clients receive all stocks until they subscribe to specific symbols (possibly in the handshake)
+  initializeStockSubscription(socket);
+  const handshakeSubscription = getHandshakeSubscription(socket);
+  if (handshakeSubscription) {
+    socket.emit('subscription_update', subscribeStocks(socket, handshakeSubscription));
+  }
+  
+  // Each socket trades as a user (handshake user_id) and shares that user's account room
+  socket.data.userId = getSocketUserId(socket);
+  socket.join(accountRoom(socket.data.userId));
+  
+  // Send initial data immediately on connection (a client reconnecting with the resync
+  // handshake flag gets its stocks and trades from its resync request instead)
+  const resyncing = Boolean(socket.handshake.auth && socket.handshake.auth.resync) || socket.handshake.query.resync === 'true';
+  if (!resyncing) {
+    sendStockSnapshot(socket);
+    sendTapeSnapshot(socket);
+  }
+  sendHomepageData(socket);
+  socket.emit('trading_status', getMarketStatus());
+  socket.emit('session_state', getSessionState());
+  socket.emit('index_update', getIndexUpdate());
+  
+  socket.on('disconnect', () => {
+    connectedClients--;
+    console.log(`Client disconnected: ${socket.id} (Total clients: ${connectedClients})`);
+    
+    // Remove from chart status and subscription tracking
+    clientChartStatus.delete(socket.id);
+    clientStockSubscriptions.delete(socket.id);
+    
+    // Cancel the account's resting orders once its last socket is gone
+    if (!roomHasClients(accountRoom(socket.data.userId))) {
+      cancelAllOrdersForOwner(socket.data.userId);
+    }
+    
+    // Pause, keep running or reset once no clients are connected (CONFIG.IDLE_POLICY)
+    if (connectedClients === 0) {
+      handleIdleMarket();
+    }
+  });
+  
+  // Reconnect resync: { streams: { <stream id>: <last seq> }, subscription } replays missed messages or sends snapshots
+  socket.on('resync', (request) => {
+    resyncClient(socket, request);
+  });
+  
+  // Handle client requests for a stock snapshot (e.g. after detecting a missed delta)
+  socket.on('get_stocks', () => {
+    console.log(`📊 Client ${socket.id} requested stock data`);
+    sendStockSnapshot(socket);
+  });
+  
+  // Handle stock subscriptions ('all', [symbols] or { symbols, pattern })
+  socket.on('subscribe', (payload) => {
+    const state = subscribeStocks(socket, payload);
+    console.log(`🔔 Client ${socket.id} subscribed: ${state.all ? 'all' : `${state.symbols.length} symbols, ${state.patterns.length} patterns`}`);
+    socket.emit('subscription_update', state);
+    sendStockSnapshot(socket);
+  });
+  
+  socket.on('unsubscribe', (payload) => {
+    const state = unsubscribeStocks(socket, payload);
+    console.log(`🔕 Client ${socket.id} unsubscribed: ${state.all ? 'all' : `${state.symbols.length} symbols, ${state.patterns.length} patterns`} remaining`);
+    socket.emit('subscription_update', state);
+  });
+  
+  // Handle order entry
+  socket.on('place_order', (payload) => {
+    placeOrder(socket.data.userId, payload || {});
+  });
+  
+  socket.on('cancel_order', (payload) => {
+    cancelClientOrder(socket.data.userId, payload || {});
+  });
+  
+  socket.on('amend_order', (payload) => {
+    amendClientOrder(socket.data.userId, payload || {});
+  });
+  
+  // Handle client requests for homepage data
+  socket.on('get_homepage', () => {
+    console.log(`🏠 Client ${socket.id} requested homepage data`);
+    sendHomepageData(socket);
+  });
+  
+  // Handle client requests for account details (cash, positions, P&L)
+  socket.on('get_account', () => {
+    socket.emit('account_update', getAccountSummary(getOrCreateAccount(socket.data.userId)));
+  });
+  
+  // Handle client requests for a symbol's chart data (full history, then incremental updates)
+  socket.on('get_chart', (payload) => {
+    const symbolName = typeof payload === 'string' ? payload : payload && payload.symbol_name;
+    const interval = (payload && payload.interval) || CONFIG.CHART_DEFAULT_INTERVAL;
+    console.log(`📈 Client ${socket.id} requested chart data for ${symbolName} (${interval})`);
+    sendInitialChartData(socket, symbolName, interval);
+  });
+  
+  // Handle client requests to stop receiving a symbol's chart updates
+  socket.on('stop_chart', (payload) => {
+    const symbolName = typeof payload === 'string' ? payload : payload && payload.symbol_name;
+    stopChartUpdatesForClient(socket, symbolName);
+  });
+  
+  // Level 2 depth: { symbol_name } or { symbols: [...] }; each symbol gets a snapshot, then deltas
+  socket.on('subscribe_depth', (payload) => {
+    parseDepthRequest(payload).forEach(symbolName => subscribeDepth(socket, symbolName));
+  });
+  
+  socket.on('unsubscribe_depth', (payload) => {
+    parseDepthRequest(payload).forEach(symbolName => unsubscribeDepth(socket, symbolName));
+  });
+}
+
+io.on('connection', handleClientConnection);
+
+adminNamespace.use((socket, next) => {
+  if (!CONFIG.ADMIN_TOKEN) {
+    return next(new Error('Admin API disabled (set SIM_ADMIN_TOKEN to enable it)'));
+  }
+  if (!isValidAdminToken(socket.handshake.auth && socket.handshake.auth.token)) {
+    return next(new Error('Invalid or missing admin token'));
+  }
+  next();
+});
+
+adminNamespace.on('connection', (socket) => {
+  console.log(`🔐 Admin connected: ${socket.id}`);
+  socket.emit('config', getEditableConfig());
+  
+  socket.on('get_config', () => {
+    socket.emit('config', getEditableConfig());
+  });
+  
+  // Changes are validated as a whole; config_changed is broadcast when anything changed
+  socket.on('update_config', (changes) => {
+    const result = applyConfigChanges(changes);
+    if (result.errors) {
+      socket.emit('config_error', { errors: result.errors });
+    }
+  });
+  
+  // { phase } jumps to a session phase until the schedule next changes; { phase: null } follows the schedule again
+  socket.on('set_session_phase', (request) => {
+    const error = overrideSessionPhase(request && request.phase !== undefined ? request.phase : null);
+    if (error) {
+      socket.emit('config_error', { errors: [error] });
+    }
+  });
+});
+
+// ============================================
+// PLAIN WEBSOCKET & SERVER-SENT EVENTS
+// ============================================
+
+/**
+ * Creates a plain (non-Socket.IO) client: an object with the parts of the Socket.IO socket
+ * interface the event handlers use (id, handshake, data, emit, join, leave, on), so plain
+ * WebSocket and SSE clients share the subscription, room and resync logic of Socket.IO clients
+ * @param {string} transport - 'ws' or 'sse'
+ * @param {object} query - Handshake query parameters (user_id, symbols, pattern, resync)
+ * @param {Function} send - Writes one event to the connection: (event, payload) => void
+ * @returns {object} Client
+ */
+function createPlainClient(transport, query, send) {
+  const client = {
+    id: `${transport}-${nextPlainClientId++}`,
+    transport,
+    handshake: { auth: {}, query },
+    data: {},
+    rooms: new Set(),
+    handlers: new Map(),
+    close: () => {},
+    emit: (event, payload) => send(event, payload),
+    join: (room) => client.rooms.add(room),
+    leave: (room) => client.rooms.delete(room),
+    on: (event, handler) => client.handlers.set(event, handler)
+  };
+  plainClients.set(client.id, client);
+  return client;
+}
+
+/**
+ * Removes a plain client whose connection closed and runs its disconnect handler
+ * (after it left its rooms, like a Socket.IO socket)
+ * @param {object} client - Plain client
+ */
+function disconnectPlainClient(client) {
+  if (!plainClients.delete(client.id)) return;
+  client.rooms.clear();
+  
+  const handler = client.handlers.get('disconnect');
+  if (handler) {
+    handler();
+  }
+}
+
+/**
+ * Closes every plain client connection (on shutdown, so the HTTP server can close)
+ */
+function closePlainClients() {
+  for (const client of [...plainClients.values()]) {
+    client.close();
+  }
 }
 
 /**
- * Initializes table elements
+ * Dispatches a message from a plain WebSocket client to its event handler
+ * Messages are JSON { event, data } with the same events and payloads as Socket.IO's clientEvents
+ * @param {object} client - Plain client
+ * @param {Buffer|string} raw - Message received
  */
-function initializeTableElements() {
-  console.log(`Initializing ${CONFIG.TABLE_ELEMENTS} table elements...`);
+function handlePlainClientMessage(client, raw) {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch (error) {
+    client.emit('protocol_error', { message: `Invalid JSON: ${error.message}` });
+    return;
+  }
   
-  tableElements = Array.from({ length: CONFIG.TABLE_ELEMENTS }, (_, index) => 
-    generateTableElement(index)
-  );
+  if (!message || typeof message !== 'object' || typeof message.event !== 'string') {
+    client.emit('protocol_error', { message: 'Expected a JSON object { event, data }' });
+    return;
+  }
   
-  // Create initial queue
-  tableUpdateQueue = [...tableElements];
+  const handler = message.event !== 'disconnect' && client.handlers.get(message.event);
+  if (!handler) {
+    client.emit('protocol_error', { event: message.event, message: `Unknown event: ${message.event}` });
+    return;
+  }
   
-  console.log('Table elements initialized successfully');
+  // A payload a handler can't cope with is the client's problem, not a reason to stop the server
+  try {
+    handler(message.data);
+  } catch (error) {
+    console.error(`Error handling ${message.event} from ${client.id}:`, error.message);
+    client.emit('protocol_error', { event: message.event, message: `Could not handle ${message.event}: ${error.message}` });
+  }
 }
 
 /**
- * Initializes homepage data with default values
+ * Sends an event to every client in a room, whatever its transport and encoding
+ * @param {string} room - Room name
+ * @param {string} event - Event name
+ * @param {*} payload - Event payload
  */
-function initializeHomepageData() {
-  console.log('Initializing homepage data...');
-  
-  homepageData = {
-    main_balance: randomInRange(17200, 18300, 2),
-    market_value: randomInRange(10600, 10700, 2),
-    
-    holding1: {
-      avg: randomInRange(10, 100, 2),
-      change: randomInRange(0, 60, 2),
-      impact_is_positive: Math.random() > 0.5,
-      value: randomInRange(1000, 3000, 2)
-    },
-    holding2: {
-      avg: randomInRange(10, 100, 2),
-      change: randomInRange(0, 60, 2),
-      impact_is_positive: Math.random() > 0.5,
-      value: randomInRange(1000, 3000, 2)
-    },
-    holding3: {
-      avg: randomInRange(10, 100, 2),
-      change: randomInRange(0, 60, 2),
-      impact_is_positive: Math.random() > 0.5,
-      value: randomInRange(1000, 3000, 2)
-    },
-    holding4: {
-      avg: randomInRange(10, 100, 2),
-      change: randomInRange(0, 60, 2),
-      impact_is_positive: Math.random() > 0.5,
-      value: randomInRange(1000, 3000, 2)
-    },
-    
-    recommendation1: {
-      avg: randomInRange(10, 100, 2),
-      positive_change: randomInRange(10, 60, 2),
-      negative_change: randomInRange(10, 60, 2)
-    },
-    recommendation2: {
-      avg: randomInRange(10, 100, 2),
-      positive_change: randomInRange(10, 60, 2),
-      negative_change: randomInRange(10, 60, 2)
-    },
-    recommendation3: {
-      avg: randomInRange(10, 100, 2),
-      positive_change: randomInRange(10, 60, 2),
-      negative_change: randomInRange(10, 60, 2)
-    },
-    recommendation4: {
-      avg: randomInRange(10, 100, 2),
-      positive_change: randomInRange(10, 60, 2),
-      negative_change: randomInRange(10, 60, 2)
-    },
-    
-    fav1: {
-      price: randomInRange(10, 60, 2),
-      change: randomInRange(10, 60, 2),
-      impact_is_positive: Math.random() > 0.5,
-      graph_data: generateGraphData(20, 10, 60)
-    },
-    fav2: {
-      price: randomInRange(10, 60, 2),
-      change: randomInRange(10, 60, 2),
-      impact_is_positive: Math.random() > 0.5,
-      graph_data: generateGraphData(20, 10, 60)
-    },
-    fav3: {
-      price: randomInRange(10, 60, 2),
-      change: randomInRange(10, 60, 2),
-      impact_is_positive: Math.random() > 0.5,
-      graph_data: generateGraphData(20, 10, 60)
-    },
-    fav4: {
-      price: randomInRange(10, 60, 2),
-      change: randomInRange(10, 60, 2),
-      impact_is_positive: Math.random() > 0.5,
-      graph_data: generateGraphData(20, 10, 60)
+function emitToRoom(room, event, payload) {
+  io.to(room).except(ENCODED_CLIENTS_ROOM).emit(event, payload);
+  for (const socket of getEncodedSockets()) {
+    if (socket.rooms.has(room)) {
+      socket.emit(event, payload);
     }
-  };
-  
-  console.log('Homepage data initialized successfully');
+  }
+  for (const client of plainClients.values()) {
+    if (client.rooms.has(room)) {
+      client.emit(event, payload);
+    }
+  }
 }
 
 /**
- * Clears all data arrays to reduce memory
+ * Sends an event to every connected client, whatever its transport and encoding
+ * @param {string} event - Event name
+ * @param {*} payload - Event payload
  */
-function clearAllData() {
-  console.log('Clearing all data arrays...');
-  stockSymbols = [];
-  tableElements = [];
-  tableUpdateQueue = [];
-  homepageData = null;
-  clearChartData();
-  console.log('All data cleared');
+function emitToAll(event, payload) {
+  io.except(ENCODED_CLIENTS_ROOM).emit(event, payload);
+  for (const socket of getEncodedSockets()) {
+    socket.emit(event, payload);
+  }
+  for (const client of plainClients.values()) {
+    client.emit(event, payload);
+  }
+}
+
+/**
+ * Sends an event to one client by id, whatever its transport
+ * @param {string} clientId - Socket.IO socket id or plain client id
+ * @param {string} event - Event name
+ * @param {*} payload - Event payload
+ */
+function emitToClient(clientId, event, payload) {
+  const client = plainClients.get(clientId) || io.sockets.sockets.get(clientId);
+  if (client) {
+    client.emit(event, payload);
+  }
+}
+
+/**
+ * Counts the clients in a room across transports
+ * @param {string} room - Room name
+ * @returns {number} Number of clients
+ */
+function getRoomSize(room) {
+  let size = io.sockets.adapter.rooms.get(room)?.size || 0;
+  for (const client of plainClients.values()) {
+    if (client.rooms.has(room)) size++;
+  }
+  return size;
+}
+
+/**
+ * Checks whether any client is in a room
+ * @param {string} room - Room name
+ * @returns {boolean} True if the room has clients
+ */
+function roomHasClients(room) {
+  return getRoomSize(room) > 0;
+}
+
+/**
+ * Gets every connected client of the main namespace, whatever its transport
+ * @returns {Array<object>} Socket.IO sockets and plain clients
+ */
+function getConnectedClients() {
+  return [...io.sockets.sockets.values(), ...plainClients.values()];
+}
+
+/**
+ * Opens a Server-Sent Events stream that carries one stream's events to an HTTP client
+ * The client connects like a Socket.IO client (query user_id, symbols, pattern). Events with a seq
+ * use it as the SSE id, so a reconnect with Last-Event-ID (or ?last_event_id=) is resynced -
+ * replayed or sent a snapshot - instead of getting the connect snapshots again.
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {Array<string>} events - Events the stream carries (everything else is dropped)
+ * @param {string|null} streamId - Resync stream id of the events' seq (null if they have none)
+ * @returns {object|null} Plain client of the stream, or null if the request was refused
+ */
+function openEventStream(req, res, events, streamId) {
+  const encoding = getHandshakeEncoding({ query: req.query });
+  if (encoding !== 'json' && encoding !== 'columnar') {
+    res.status(400).json({ error: 'SSE streams are text: use encoding json or columnar' });
+    return null;
+  }
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'Access-Control-Allow-Origin': '*'
+  });
+  
+  const carried = new Set([...events, 'encoding']);
+  const client = createPlainClient('sse', req.query, (event, payload) => {
+    if (!carried.has(event)) return;
+    const id = payload && Number.isInteger(payload.seq) ? `id: ${payload.seq}\n` : '';
+    res.write(`${id}event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+  });
+  client.close = () => res.end();
+  
+  const lastEventId = req.get('Last-Event-ID') || req.query.last_event_id;
+  const lastSeq = lastEventId !== undefined ? Number(lastEventId) : null;
+  const resyncing = streamId !== null && Number.isInteger(lastSeq) && lastSeq >= 0;
+  client.handshake.auth.resync = resyncing;
+  
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), CONFIG.SSE_KEEPALIVE_INTERVAL);
+  res.on('close', () => {
+    clearInterval(keepAlive);
+    disconnectPlainClient(client);
+  });
+  
+  handleClientConnection(client);
+  console.log(`📡 SSE client ${client.id} opened ${req.path}${resyncing ? ` (resync from seq ${lastSeq})` : ''}`);
+  if (resyncing) {
+    resyncClient(client, { streams: { [streamId]: lastSeq } });
+  }
+  return client;
 }
 
+// Plain WebSocket upgrades on CONFIG.WS_PATH (Socket.IO handles its own path)
+server.on('upgrade', (req, socket, head) => {
+  const url = new URL(req.url, 'http://localhost');
+  if (url.pathname !== CONFIG.WS_PATH) return;
+  if (!getHandshakeEncoding({ query: Object.fromEntries(url.searchParams) })) {
+    socket.end(`HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\nUnsupported encoding (use ${PAYLOAD_ENCODINGS.join(', ')})`);
+    return;
+  }
+  wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, req));
+});
+
+// Plain WebSocket clients: handshake options in the query string, JSON { event, data } messages both ways
+// (sent as binary MessagePack frames to clients that negotiated encoding=msgpack)
+wss.on('connection', (ws, req) => {
+  const query = Object.fromEntries(new URL(req.url, 'http://localhost').searchParams);
+  const client = createPlainClient('ws', query, (event, data) => {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(client.data.encoding === 'msgpack' ? encodeMsgpack({ event, data }) : JSON.stringify({ event, data }));
+    }
+  });
+  client.close = () => ws.close(1001, 'Server shutting down');
+  
+  ws.on('message', (raw) => handlePlainClientMessage(client, raw));
+  ws.on('close', () => disconnectPlainClient(client));
+  ws.on('error', (error) => console.error(`WebSocket client ${client.id} error:`, error.message));
+  
+  handleClientConnection(client);
+});
+
 // ============================================
-// STOCK UPDATE LOGIC
+// FIX 4.4 GATEWAY
 // ============================================
 
+// Field delimiter and BeginString of every FIX message
+const FIX_SOH = '\x01';
+const FIX_BEGIN_STRING = 'FIX.4.4';
+
+// Outgoing message types resent on ResendRequest (everything else is gap-filled with SequenceReset)
+const FIX_RESENT_MSG_TYPES = new Set(['8', '9', 'j']);
+
+// Side (54), OrdType (40) and TimeInForce (59) codes and the order fields they map to
+const FIX_SIDES = { 1: 'buy', 2: 'sell' };
+const FIX_ORD_TYPES = { 1: 'market', 2: 'limit' };
+const FIX_TIME_IN_FORCE = { 0: 'day', 3: 'ioc' };
+
+// OrdStatus (39) of each order status and ExecType (150) of each execution_report exec_type
+const FIX_ORD_STATUS = { new: '0', partially_filled: '1', filled: '2', cancelled: '4' };
+const FIX_EXEC_TYPES = { trade: 'F', cancelled: '4', replaced: '5' };
+
+// Longest BodyLength accepted (anything longer is treated as garbled)
+const FIX_MAX_BODY_LENGTH = 65536;
+
+// MDEntryType (269) -> { price, size } of the entry for a stock (null = no value yet, e.g. no trade today)
+const FIX_MD_ENTRY_TYPES = {
+  0: stock => ({ price: stock.sell_value, size: getBookDepth(stock.symbol_name, 1)?.bids[0]?.size }), // Bid
+  1: stock => ({ price: stock.buy_value, size: getBookDepth(stock.symbol_name, 1)?.asks[0]?.size }),  // Offer
+  2: stock => {                                                                                        // Trade
+    const trade = getTape(stock.symbol_name, 1)[0];
+    return trade ? { price: Number(trade.price), size: trade.last_order_qty } : null;
+  },
+  4: stock => stock.open !== null ? { price: stock.open } : null,  // Opening price
+  7: stock => stock.high !== null ? { price: stock.high } : null,  // Trading session high
+  8: stock => stock.low !== null ? { price: stock.low } : null,    // Trading session low
+  9: stock => stock.vwap !== null ? { price: stock.vwap } : null,  // VWAP
+  B: stock => ({ size: stock.volume })                             // Trade volume
+};
+
 /**
- * Updates random stocks at configured interval
+ * Formats a time as a FIX UTCTimestamp (YYYYMMDD-HH:MM:SS.sss)
+ * @param {number} time - Time in ms
+ * @returns {string} FIX timestamp
  */
-function startStockUpdates() {
-  if (stockUpdateInterval) {
-    clearInterval(stockUpdateInterval);
+function formatFixTime(time) {
+  const iso = new Date(time).toISOString();
+  return `${iso.slice(0, 4)}${iso.slice(5, 7)}${iso.slice(8, 10)}-${iso.slice(11, 23)}`;
+}
+
+/**
+ * Computes a FIX CheckSum (sum of the bytes modulo 256, three digits)
+ * @param {string} text - Message text up to the CheckSum field (latin1)
+ * @returns {string} CheckSum value
+ */
+function getFixChecksum(text) {
+  let sum = 0;
+  for (let i = 0; i < text.length; i++) {
+    sum += text.charCodeAt(i);
+  }
+  return String(sum % 256).padStart(3, '0');
+}
+
+/**
+ * Encodes a FIX message from the acceptor to a session's counterparty
+ * @param {string} targetCompId - Counterparty CompID
+ * @param {string} msgType - MsgType (35)
+ * @param {number} seq - MsgSeqNum (34)
+ * @param {string} sendingTime - SendingTime (52)
+ * @param {Array<Array>} body - [tag, value] pairs after the header (null/undefined values are left out)
+ * @param {string|null} origSendingTime - OrigSendingTime (122) of a resent message (sets PossDupFlag)
+ * @returns {string} Message text (latin1)
+ */
+function encodeFixMessage(targetCompId, msgType, seq, sendingTime, body, origSendingTime = null) {
+  const header = [[35, msgType], [49, CONFIG.FIX_COMP_ID], [56, targetCompId], [34, seq], [52, sendingTime]];
+  if (origSendingTime) {
+    header.push([43, 'Y'], [122, origSendingTime]);
   }
   
-  stockUpdateInterval = setInterval(() => {
-    const randomIndices = getRandomIndices(
-      CONFIG.STOCKS_TO_UPDATE,
-      stockSymbols.length
-    );
+  const content = [...header, ...body]
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([tag, value]) => `${tag}=${value}${FIX_SOH}`)
+    .join('');
+  const head = `8=${FIX_BEGIN_STRING}${FIX_SOH}9=${content.length}${FIX_SOH}`;
+  return `${head}${content}10=${getFixChecksum(head + content)}${FIX_SOH}`;
+}
+
+/**
+ * Takes the next complete message off a connection's receive buffer
+ * Garbled data (bad framing, BodyLength or CheckSum) is skipped up to the next BeginString
+ * @param {object} connection - FIX connection ({ buffer })
+ * @returns {string|null} Message text, or null until a complete message has arrived
+ */
+function takeFixMessage(connection) {
+  const start = `8=${FIX_BEGIN_STRING}${FIX_SOH}9=`;
+  
+  while (connection.buffer.length > 0) {
+    const begin = connection.buffer.indexOf(start);
+    if (begin === -1) {
+      // Keep a tail that may be the start of the next message
+      connection.buffer = connection.buffer.slice(-start.length);
+      return null;
+    }
+    if (begin > 0) {
+      console.warn(`⚠️  FIX: skipped ${begin} garbled bytes`);
+      connection.buffer = connection.buffer.slice(begin);
+    }
     
-    for (const index of randomIndices) {
-      updateStockPrices(stockSymbols[index]);
+    const lengthEnd = connection.buffer.indexOf(FIX_SOH, start.length);
+    if (lengthEnd === -1) return null;
+    const bodyLength = Number(connection.buffer.slice(start.length, lengthEnd));
+    const bodyEnd = lengthEnd + 1 + bodyLength;
+    const messageEnd = bodyEnd + 7; // 10=nnn<SOH>
+    if (bodyLength > 0 && bodyLength <= FIX_MAX_BODY_LENGTH && connection.buffer.length < messageEnd) return null;
+    
+    const message = connection.buffer.slice(0, messageEnd);
+    const checksum = connection.buffer.slice(bodyEnd, messageEnd);
+    if (!Number.isInteger(bodyLength) || bodyLength <= 0 || bodyLength > FIX_MAX_BODY_LENGTH ||
+        checksum !== `10=${getFixChecksum(message.slice(0, bodyEnd))}${FIX_SOH}`) {
+      console.warn('⚠️  FIX: dropped a garbled message (bad BodyLength or CheckSum)');
+      connection.buffer = connection.buffer.slice(1);
+      continue;
     }
-  }, CONFIG.UPDATE_INTERVAL);
-  
-  console.log(`Stock update process started (every ${CONFIG.UPDATE_INTERVAL}ms)`);
+    
+    connection.buffer = connection.buffer.slice(messageEnd);
+    return message;
+  }
+  return null;
 }
 
 /**
- * Stops stock updates
+ * Splits a FIX message into its fields
+ * @param {string} message - Message text
+ * @returns {Array<Array>} [tag, value] pairs in message order (tags are numbers)
  */
-function stopStockUpdates() {
-  if (stockUpdateInterval) {
-    clearInterval(stockUpdateInterval);
-    stockUpdateInterval = null;
-    console.log('Stock update process stopped');
-  }
+function parseFixFields(message) {
+  return message.split(FIX_SOH)
+    .filter(Boolean)
+    .map(field => {
+      const separator = field.indexOf('=');
+      return [Number(field.slice(0, separator)), field.slice(separator + 1)];
+    });
 }
 
 /**
- * Broadcasts stock data to all connected clients
+ * Gets the first value of a tag in a message
+ * @param {Array<Array>} fields - Parsed fields
+ * @param {number} tag - Tag number
+ * @returns {string|undefined} Value
  */
-function startBroadcasting() {
-  if (broadcastInterval) {
-    clearInterval(broadcastInterval);
+function getFixField(fields, tag) {
+  const field = fields.find(([fieldTag]) => fieldTag === tag);
+  return field ? field[1] : undefined;
+}
+
+/**
+ * Gets every value of a tag in a message (the entries of a repeating group)
+ * @param {Array<Array>} fields - Parsed fields
+ * @param {number} tag - Tag number
+ * @returns {Array<string>} Values in message order
+ */
+function getFixFieldValues(fields, tag) {
+  return fields.filter(([fieldTag]) => fieldTag === tag).map(([, value]) => value);
+}
+
+/**
+ * Gets the FIX code of an order field value
+ * @param {object} codes - Code table (e.g. FIX_SIDES)
+ * @param {string} value - Order field value
+ * @returns {string|undefined} FIX code
+ */
+function getFixCode(codes, value) {
+  return Object.keys(codes).find(code => codes[code] === value);
+}
+
+/**
+ * Gets or creates the session of a counterparty CompID
+ * Sessions outlive their TCP connections, so sequence numbers carry over to the next Logon
+ * (unless it sets ResetSeqNumFlag) and missed messages can be requested with ResendRequest
+ * @param {string} compId - Counterparty CompID (also the user_id of the session's account)
+ * @returns {object} FIX session
+ */
+function getFixSession(compId) {
+  if (!fixSessions.has(compId)) {
+    fixSessions.set(compId, {
+      compId,
+      connection: null,
+      client: null,
+      incomingSeq: 1,       // Next MsgSeqNum expected from the counterparty
+      outgoingSeq: 1,       // Next MsgSeqNum sent to the counterparty
+      resendTarget: null,   // Highest MsgSeqNum seen while a ResendRequest is outstanding
+      store: [],            // Sent messages kept for ResendRequest: { seq, msgType, body, sendingTime }
+      heartBtInt: 30,
+      lastReceivedAt: 0,
+      lastSentAt: 0,
+      testRequestSentAt: null,
+      marketData: new Map(), // MDReqID -> { symbols, entryTypes, updateType, tradeIds }
+      activeRequest: null    // { msgType, fields } of the NewOrderSingle or OrderCancelRequest being handled
+    });
   }
+  return fixSessions.get(compId);
+}
+
+/**
+ * Sends a message to a session's counterparty with the next outgoing MsgSeqNum
+ * @param {object} session - FIX session
+ * @param {string} msgType - MsgType (35)
+ * @param {Array<Array>} body - [tag, value] pairs
+ */
+function sendFixMessage(session, msgType, body) {
+  if (!session.connection) return;
   
-  broadcastInterval = setInterval(() => {
-    io.emit('stock_update', stockSymbols);
-  }, CONFIG.BROADCAST_INTERVAL);
+  const seq = session.outgoingSeq++;
+  const sendingTime = formatFixTime(Date.now());
+  if (FIX_RESENT_MSG_TYPES.has(msgType)) {
+    session.store.push({ seq, msgType, body, sendingTime });
+    if (session.store.length > CONFIG.FIX_MESSAGE_STORE_SIZE) {
+      session.store.shift();
+    }
+  }
   
-  console.log(`Broadcasting started (every ${CONFIG.BROADCAST_INTERVAL}ms)`);
+  session.connection.socket.write(encodeFixMessage(session.compId, msgType, seq, sendingTime, body), 'latin1');
+  session.lastSentAt = Date.now();
 }
 
 /**
- * Stops broadcasting
+ * Sends a session-level Reject (35=3) for a message
+ * @param {object} session - FIX session
+ * @param {Array<Array>} fields - Rejected message
+ * @param {number} reason - SessionRejectReason (373)
+ * @param {string} text - Explanation
+ * @param {number} refTag - RefTagID (371) of the offending field
  */
-function stopBroadcasting() {
-  if (broadcastInterval) {
-    clearInterval(broadcastInterval);
-    broadcastInterval = null;
-    console.log('Broadcasting stopped');
+function rejectFixMessage(session, fields, reason, text, refTag = null) {
+  sendFixMessage(session, '3', [
+    [45, getFixField(fields, 34)],
+    [371, refTag],
+    [372, getFixField(fields, 35)],
+    [373, reason],
+    [58, text]
+  ]);
+}
+
+/**
+ * Sends Logout and closes the session's connection
+ * @param {object} session - FIX session
+ * @param {string} text - Reason
+ */
+function logoutFixSession(session, text) {
+  if (!session.connection) return;
+  console.log(`👋 FIX session ${session.compId} logged out: ${text}`);
+  sendFixMessage(session, '5', [[58, text]]);
+  session.connection.socket.end();
+}
+
+/**
+ * Asks the counterparty to resend everything from the next expected MsgSeqNum
+ * (once per gap - later messages only extend the range being waited for)
+ * @param {object} session - FIX session
+ * @param {number} receivedSeq - MsgSeqNum that revealed the gap
+ */
+function requestFixResend(session, receivedSeq) {
+  if (session.resendTarget === null) {
+    console.log(`🔁 FIX session ${session.compId}: gap ${session.incomingSeq}-${receivedSeq - 1}, sending ResendRequest`);
+    sendFixMessage(session, '2', [[7, session.incomingSeq], [16, 0]]);
   }
+  session.resendTarget = Math.max(session.resendTarget || 0, receivedSeq);
 }
 
 /**
- * Broadcasts table updates one by one at configured rate
+ * Answers a ResendRequest: stored execution reports and rejects are resent with PossDupFlag,
+ * everything else in the range (session messages, market data, messages no longer stored)
+ * is skipped with SequenceReset-GapFill
+ * @param {object} session - FIX session
+ * @param {Array<Array>} fields - ResendRequest message
  */
-function startTableUpdates() {
-  if (tableUpdateInterval) {
-    clearInterval(tableUpdateInterval);
+function resendFixMessages(session, fields) {
+  const beginSeq = Number(getFixField(fields, 7));
+  const requestedEnd = Number(getFixField(fields, 16));
+  const lastSent = session.outgoingSeq - 1;
+  const endSeq = requestedEnd === 0 || requestedEnd > lastSent ? lastSent : requestedEnd;
+  if (!Number.isInteger(beginSeq) || beginSeq < 1 || !Number.isInteger(requestedEnd)) {
+    rejectFixMessage(session, fields, 5, 'BeginSeqNo and EndSeqNo must be whole numbers', 7);
+    return;
   }
   
-  const intervalMs = 1000 / CONFIG.TABLE_UPDATES_PER_SECOND;
+  const stored = new Map(session.store.map(message => [message.seq, message]));
+  const write = (text) => session.connection.socket.write(text, 'latin1');
+  let gapStart = null;
+  const flushGap = (nextSeq) => {
+    if (gapStart === null) return;
+    write(encodeFixMessage(session.compId, '4', gapStart, formatFixTime(Date.now()), [[123, 'Y'], [36, nextSeq]], formatFixTime(Date.now())));
+    gapStart = null;
+  };
   
-  tableUpdateInterval = setInterval(() => {
-    if (tableUpdateQueue.length === 0) {
-      // Regenerate queue when empty
-      tableUpdateQueue = [...tableElements].map(el => ({
-        ...el,
-        // Update with new random values
-        price: parseFloat((parseFloat(el.price) * (1 + (Math.random() * 0.1 - 0.05))).toFixed(4)),
-        change: (() => {
-          const changePercent = (Math.random() * 20 - 10).toFixed(2);
-          return changePercent >= 0 ? `+${changePercent}%` : `${changePercent}%`;
-        })(),
-        last_order_value: parseFloat((Math.random() * 50000).toFixed(2)),
-        last_order_qty: Math.floor(Math.random() * 1000) + 1
-      }));
+  let resent = 0;
+  for (let seq = beginSeq; seq <= endSeq; seq++) {
+    const message = stored.get(seq);
+    if (!message) {
+      if (gapStart === null) gapStart = seq;
+      continue;
     }
-    
-    // Send next element in queue
-    const element = tableUpdateQueue.shift();
-    io.emit('table_update', [element]);
-  }, intervalMs);
+    flushGap(seq);
+    write(encodeFixMessage(session.compId, message.msgType, seq, formatFixTime(Date.now()), message.body, message.sendingTime));
+    resent++;
+  }
+  flushGap(endSeq + 1);
   
-  console.log(`Table updates started (${CONFIG.TABLE_UPDATES_PER_SECOND} elements/second)`);
+  session.lastSentAt = Date.now();
+  console.log(`🔁 FIX session ${session.compId}: resent ${resent} messages of ${beginSeq}-${endSeq}`);
 }
 
 /**
- * Stops table updates
+ * Handles the first message on a connection, which must be a valid Logon (35=A)
+ * Invalid logons close the connection; a MsgSeqNum below the expected one is answered with Logout
+ * and a higher one is accepted, followed by a ResendRequest for the gap
+ * @param {object} connection - FIX connection
+ * @param {Array<Array>} fields - Logon message
  */
-function stopTableUpdates() {
-  if (tableUpdateInterval) {
-    clearInterval(tableUpdateInterval);
-    tableUpdateInterval = null;
-    console.log('Table updates stopped');
+function handleFixLogon(connection, fields) {
+  const compId = getFixField(fields, 49);
+  const seq = Number(getFixField(fields, 34));
+  const heartBtInt = Number(getFixField(fields, 108));
+  const refuse = (reason) => {
+    console.warn(`⚠️  FIX logon refused from ${connection.socket.remoteAddress}: ${reason}`);
+    connection.socket.destroy();
+  };
+  
+  if (getFixField(fields, 35) !== 'A') return refuse('first message must be Logon');
+  if (!compId) return refuse('missing SenderCompID');
+  if (getFixField(fields, 56) !== CONFIG.FIX_COMP_ID) return refuse(`TargetCompID must be ${CONFIG.FIX_COMP_ID}`);
+  if (!Number.isInteger(seq) || seq < 1) return refuse('missing MsgSeqNum');
+  
+  const session = getFixSession(compId);
+  if (session.connection) return refuse(`session ${compId} is already logged on`);
+  
+  session.connection = connection;
+  connection.session = session;
+  
+  const reset = getFixField(fields, 141) === 'Y';
+  if (reset) {
+    session.incomingSeq = 1;
+    session.outgoingSeq = 1;
+    session.store = [];
+  }
+  if (seq < session.incomingSeq) {
+    return logoutFixSession(session, `MsgSeqNum too low, expecting ${session.incomingSeq} but received ${seq}`);
+  }
+  if (!Number.isInteger(heartBtInt) || heartBtInt < 1 || heartBtInt > 3600) {
+    return logoutFixSession(session, 'HeartBtInt must be between 1 and 3600 seconds');
+  }
+  if ((getFixField(fields, 98) || '0') !== '0') {
+    return logoutFixSession(session, 'EncryptMethod must be 0 (none)');
+  }
+  
+  session.heartBtInt = heartBtInt;
+  session.lastReceivedAt = Date.now();
+  session.testRequestSentAt = null;
+  session.resendTarget = null;
+  sendFixMessage(session, 'A', [[98, 0], [108, heartBtInt], [141, reset ? 'Y' : null]]);
+  console.log(`🤝 FIX session ${compId} logged on (HeartBtInt ${heartBtInt}s, MsgSeqNum ${seq}, expected ${session.incomingSeq})`);
+  
+  if (seq === session.incomingSeq) {
+    session.incomingSeq++;
+  } else {
+    requestFixResend(session, seq);
+  }
+  
+  // The session trades as the account named by its CompID and starts the market like any client
+  session.client = createPlainClient('fix', { user_id: compId }, (event, payload) => handleFixAccountEvent(session, event, payload));
+  session.client.close = () => logoutFixSession(session, 'Server shutting down');
+  handleClientConnection(session.client);
+  
+  connection.heartbeatTimer = setInterval(() => checkFixHeartbeat(session), 1000);
+}
+
+/**
+ * Sends a Heartbeat when nothing was sent for HeartBtInt, a TestRequest when nothing was
+ * received for HeartBtInt (plus 20%), and disconnects when the TestRequest goes unanswered
+ * @param {object} session - FIX session
+ */
+function checkFixHeartbeat(session) {
+  const interval = session.heartBtInt * 1000;
+  const time = Date.now();
+  
+  if (session.testRequestSentAt !== null && time - session.testRequestSentAt > interval) {
+    console.warn(`⚠️  FIX session ${session.compId}: TestRequest unanswered, disconnecting`);
+    session.connection.socket.destroy();
+    return;
+  }
+  if (session.testRequestSentAt === null && time - session.lastReceivedAt > interval * 1.2) {
+    session.testRequestSentAt = time;
+    sendFixMessage(session, '1', [[112, `TEST-${time}`]]);
+  } else if (time - session.lastSentAt >= interval) {
+    sendFixMessage(session, '0', []);
   }
 }
 
 /**
- * Updates homepage data with new random values
+ * Handles a message received on a connection: Logon first, then MsgSeqNum checks
+ * (gaps are requested with ResendRequest, duplicates dropped, too-low numbers end the session)
+ * and dispatch by MsgType
+ * @param {object} connection - FIX connection
+ * @param {string} message - Message text
  */
-function updateHomepageData() {
-  if (!homepageData) return;
+function handleFixMessage(connection, message) {
+  const fields = parseFixFields(message);
+  if (!connection.session) {
+    handleFixLogon(connection, fields);
+    return;
+  }
   
-  homepageData.main_balance = randomInRange(17200, 18300, 2);
-  homepageData.market_value = randomInRange(10600, 10700, 2);
+  const session = connection.session;
+  const msgType = getFixField(fields, 35);
+  const seq = Number(getFixField(fields, 34));
+  session.lastReceivedAt = Date.now();
+  session.testRequestSentAt = null;
   
-  // Update holdings
-  for (let i = 1; i <= 4; i++) {
-    const holding = homepageData[`holding${i}`];
-    holding.avg = randomInRange(10, 100, 2);
-    holding.change = randomInRange(0, 60, 2);
-    holding.impact_is_positive = Math.random() > 0.5;
-    holding.value = randomInRange(1000, 3000, 2);
+  if (getFixField(fields, 49) !== session.compId || getFixField(fields, 56) !== CONFIG.FIX_COMP_ID) {
+    rejectFixMessage(session, fields, 9, 'CompID problem');
+    logoutFixSession(session, 'CompID problem');
+    return;
+  }
+  if (!Number.isInteger(seq) || seq < 1) {
+    logoutFixSession(session, 'MsgSeqNum missing');
+    return;
   }
   
-  // Update recommendations
-  for (let i = 1; i <= 4; i++) {
-    const rec = homepageData[`recommendation${i}`];
-    rec.avg = randomInRange(10, 100, 2);
-    rec.positive_change = randomInRange(10, 60, 2);
-    rec.negative_change = randomInRange(10, 60, 2);
+  // SequenceReset-Reset moves the expected MsgSeqNum whatever the message's own number
+  if (msgType === '4' && getFixField(fields, 123) !== 'Y') {
+    const newSeq = Number(getFixField(fields, 36));
+    if (!Number.isInteger(newSeq) || newSeq < session.incomingSeq) {
+      rejectFixMessage(session, fields, 5, `NewSeqNo must not be below ${session.incomingSeq}`, 36);
+      return;
+    }
+    session.incomingSeq = newSeq;
+    session.resendTarget = null;
+    return;
   }
   
-  // Update favorites
-  for (let i = 1; i <= 4; i++) {
-    const fav = homepageData[`fav${i}`];
-    const newPrice = randomInRange(10, 60, 2);
-    fav.price = newPrice;
-    fav.change = randomInRange(10, 60, 2);
-    fav.impact_is_positive = Math.random() > 0.5;
-    fav.graph_data = updateGraphData(fav.graph_data, newPrice);
+  if (seq > session.incomingSeq) {
+    requestFixResend(session, seq);
+    // ResendRequest and Logout are acted on even out of sequence
+    if (msgType === '2') resendFixMessages(session, fields);
+    if (msgType === '5') logoutFixSession(session, 'Logout acknowledged');
+    return;
+  }
+  if (seq < session.incomingSeq) {
+    if (getFixField(fields, 43) !== 'Y') {
+      logoutFixSession(session, `MsgSeqNum too low, expecting ${session.incomingSeq} but received ${seq}`);
+    }
+    return;
+  }
+  
+  if (msgType === '4') {
+    const newSeq = Number(getFixField(fields, 36));
+    if (!Number.isInteger(newSeq) || newSeq <= seq) {
+      rejectFixMessage(session, fields, 5, 'NewSeqNo must be above MsgSeqNum', 36);
+      session.incomingSeq++;
+      return;
+    }
+    session.incomingSeq = newSeq;
+  } else {
+    session.incomingSeq++;
+  }
+  if (session.resendTarget !== null && session.incomingSeq > session.resendTarget) {
+    session.resendTarget = null;
+  }
+  
+  switch (msgType) {
+    case '0': // Heartbeat
+    case '4': // SequenceReset-GapFill (handled above)
+      break;
+    case '1': // TestRequest
+      sendFixMessage(session, '0', [[112, getFixField(fields, 112)]]);
+      break;
+    case '2': // ResendRequest
+      resendFixMessages(session, fields);
+      break;
+    case '3': // Reject
+      console.warn(`⚠️  FIX session ${session.compId} rejected our message ${getFixField(fields, 45)}: ${getFixField(fields, 58) || 'no reason given'}`);
+      break;
+    case '5': // Logout
+      logoutFixSession(session, 'Logout acknowledged');
+      break;
+    case 'A':
+      rejectFixMessage(session, fields, 5, 'Session is already logged on');
+      break;
+    case 'V':
+      handleFixMarketDataRequest(session, fields);
+      break;
+    case 'D':
+    case 'F':
+      // Order events raised while the request is handled answer it (see handleFixAccountEvent)
+      session.activeRequest = { msgType, fields };
+      try {
+        if (msgType === 'D') {
+          handleFixNewOrderSingle(session, fields);
+        } else {
+          handleFixOrderCancelRequest(session, fields);
+        }
+      } finally {
+        session.activeRequest = null;
+      }
+      break;
+    default:
+      sendFixMessage(session, 'j', [[45, seq], [372, msgType], [380, 3], [58, `Unsupported MsgType: ${msgType}`]]);
   }
 }
 
 /**
- * Broadcasts homepage updates at configured interval
+ * Rejects a message missing one of its required fields
+ * @param {object} session - FIX session
+ * @param {Array<Array>} fields - Message
+ * @param {Array<number>} tags - Required tags
+ * @returns {boolean} True if a field was missing (and the message was rejected)
  */
-function startHomepageUpdates() {
-  if (homepageUpdateInterval) {
-    clearInterval(homepageUpdateInterval);
-  }
-  
-  homepageUpdateInterval = setInterval(() => {
-    updateHomepageData();
-    io.emit('homepage_updates', homepageData);
-  }, CONFIG.HOMEPAGE_UPDATE_INTERVAL);
+function rejectMissingFixFields(session, fields, tags) {
+  const missing = tags.find(tag => getFixField(fields, tag) === undefined);
+  if (missing === undefined) return false;
   
-  console.log(`Homepage updates started (every ${CONFIG.HOMEPAGE_UPDATE_INTERVAL}ms)`);
+  rejectFixMessage(session, fields, 1, `Required tag missing: ${missing}`, missing);
+  return true;
 }
 
 /**
- * Stops homepage updates
+ * Builds the market data entries of a stock
+ * @param {object} stock - Stock object
+ * @param {Array<string>} entryTypes - MDEntryTypes (269)
+ * @returns {Array<object>} { type, price, size } of the entry types with a value
  */
-function stopHomepageUpdates() {
-  if (homepageUpdateInterval) {
-    clearInterval(homepageUpdateInterval);
-    homepageUpdateInterval = null;
-    console.log('Homepage updates stopped');
-  }
+function getFixMarketDataEntries(stock, entryTypes) {
+  return entryTypes
+    .map(type => {
+      const value = FIX_MD_ENTRY_TYPES[type](stock);
+      return value && { type, ...value };
+    })
+    .filter(Boolean);
 }
 
 /**
- * Starts chart updates at configured interval
+ * Sends a MarketDataSnapshotFullRefresh (35=W) for a stock
+ * @param {object} session - FIX session
+ * @param {string} reqId - MDReqID (262)
+ * @param {object} stock - Stock object
+ * @param {Array<string>} entryTypes - MDEntryTypes (269)
  */
-function startChartUpdates() {
-  if (chartUpdateInterval) {
-    clearInterval(chartUpdateInterval);
+function sendFixMarketDataSnapshot(session, reqId, stock, entryTypes) {
+  const entries = getFixMarketDataEntries(stock, entryTypes);
+  sendFixMessage(session, 'W', [
+    [262, reqId],
+    [55, stock.symbol_name],
+    [268, entries.length],
+    ...entries.flatMap(entry => [[269, entry.type], [270, entry.price], [271, entry.size]])
+  ]);
+}
+
+/**
+ * Handles a MarketDataRequest (35=V): a snapshot per symbol, and for SubscriptionRequestType 1
+ * the changes every broadcast cycle (MDUpdateType 1: incremental refreshes, 0: full refreshes)
+ * Entries are top of book and daily statistics from the stock feed; rejects answer with 35=Y
+ * @param {object} session - FIX session
+ * @param {Array<Array>} fields - MarketDataRequest message
+ */
+function handleFixMarketDataRequest(session, fields) {
+  if (rejectMissingFixFields(session, fields, [262, 263])) return;
+  
+  const reqId = getFixField(fields, 262);
+  const subscriptionType = getFixField(fields, 263);
+  const reject = (reason, text) => sendFixMessage(session, 'Y', [[262, reqId], [281, reason], [58, text]]);
+  
+  if (subscriptionType === '2') {
+    session.marketData.delete(reqId);
+    return;
+  }
+  if (subscriptionType !== '0' && subscriptionType !== '1') {
+    return reject(4, `Unsupported SubscriptionRequestType: ${subscriptionType}`);
+  }
+  if (session.marketData.has(reqId)) {
+    return reject(1, `Duplicate MDReqID: ${reqId}`);
   }
   
-  chartUpdateInterval = setInterval(() => {
-    updateChartData();
-    broadcastChartUpdate();
-  }, CONFIG.CHART_UPDATE_INTERVAL);
+  const updateType = getFixField(fields, 265) || '1';
+  if (updateType !== '0' && updateType !== '1') {
+    return reject(6, `Unsupported MDUpdateType: ${updateType}`);
+  }
   
-  console.log(`Chart updates started (every ${CONFIG.CHART_UPDATE_INTERVAL}ms)`);
-  console.log(`Candle duration: ${CONFIG.CHART_CANDLE_DURATION}ms`);
-  console.log(`📊 REALISTIC MODE: Trend-following with mean reversion`);
+  const entryTypes = getFixFieldValues(fields, 269);
+  const unsupportedType = entryTypes.find(type => !FIX_MD_ENTRY_TYPES[type]);
+  if (entryTypes.length === 0 || unsupportedType !== undefined) {
+    return reject(8, `Unsupported MDEntryType: ${unsupportedType} (supported: ${Object.keys(FIX_MD_ENTRY_TYPES).join(', ')})`);
+  }
+  
+  const symbols = getFixFieldValues(fields, 55);
+  const unknown = symbols.filter(symbolName => !findStock(symbolName));
+  if (symbols.length === 0 || unknown.length > 0) {
+    return reject(0, symbols.length === 0 ? 'No symbols requested' : `Unknown symbol: ${unknown.join(', ')}`);
+  }
+  
+  const tradeIds = new Map();
+  for (const symbolName of symbols) {
+    sendFixMarketDataSnapshot(session, reqId, findStock(symbolName), entryTypes);
+    tradeIds.set(symbolName, getTape(symbolName, 1)[0]?.trade_id);
+  }
+  if (subscriptionType === '1') {
+    session.marketData.set(reqId, { symbols: new Set(symbols), entryTypes, updateType, tradeIds });
+  }
 }
 
 /**
- * Stops chart updates
+ * Sends the logged-on FIX sessions the changes to the symbols they subscribed to
+ * Incremental refreshes (35=X) carry every requested entry of each changed symbol, with trades
+ * only when a new one printed; full-refresh subscriptions get a snapshot per changed symbol
+ * @param {Array<object>} changedStocks - Stocks that changed since the last broadcast
  */
-function stopChartUpdates() {
-  if (chartUpdateInterval) {
-    clearInterval(chartUpdateInterval);
-    chartUpdateInterval = null;
-    console.log('Chart updates stopped');
+function publishFixMarketData(changedStocks) {
+  for (const session of fixSessions.values()) {
+    if (!session.client) continue;
+    
+    for (const [reqId, subscription] of session.marketData) {
+      const stocks = changedStocks.filter(stock => subscription.symbols.has(stock.symbol_name));
+      if (stocks.length === 0) continue;
+      
+      if (subscription.updateType === '0') {
+        stocks.forEach(stock => sendFixMarketDataSnapshot(session, reqId, stock, subscription.entryTypes));
+        continue;
+      }
+      
+      const entries = stocks.flatMap(stock => {
+        const tradeId = getTape(stock.symbol_name, 1)[0]?.trade_id;
+        const newTrade = tradeId !== subscription.tradeIds.get(stock.symbol_name);
+        subscription.tradeIds.set(stock.symbol_name, tradeId);
+        return getFixMarketDataEntries(stock, subscription.entryTypes)
+          .filter(entry => entry.type !== '2' || newTrade)
+          .map(entry => ({ ...entry, symbolName: stock.symbol_name }));
+      });
+      if (entries.length === 0) continue;
+      
+      sendFixMessage(session, 'X', [
+        [262, reqId],
+        [268, entries.length],
+        ...entries.flatMap(entry => [
+          [279, entry.type === '2' ? 0 : 1], // New trade, changed price level or statistic
+          [269, entry.type],
+          [55, entry.symbolName],
+          [270, entry.price],
+          [271, entry.size]
+        ])
+      ]);
+    }
   }
 }
 
 /**
- * Starts all update processes
+ * Handles a NewOrderSingle (35=D) by placing the order for the session's account
+ * The outcome comes back through the account's order events (see handleFixAccountEvent)
+ * @param {object} session - FIX session
+ * @param {Array<Array>} fields - NewOrderSingle message
  */
-function startAllUpdates() {
-  console.log('Starting all update processes...');
+function handleFixNewOrderSingle(session, fields) {
+  if (rejectMissingFixFields(session, fields, [11, 55, 54, 38, 40])) return;
   
-  // Initialize data if not already initialized
-  if (stockSymbols.length === 0) {
-    initializeStocks();
-  }
-  if (tableElements.length === 0) {
-    initializeTableElements();
-  }
-  if (!homepageData) {
-    initializeHomepageData();
-  }
-  if (chartData.length === 0) {
-    initializeChartData();
+  const clOrdId = getFixField(fields, 11);
+  const symbolName = getFixField(fields, 55);
+  const codes = [[54, 'Side', FIX_SIDES], [40, 'OrdType', FIX_ORD_TYPES], [59, 'TimeInForce', FIX_TIME_IN_FORCE]];
+  const unsupported = codes.find(([tag, , table]) => getFixField(fields, tag) !== undefined && !table[getFixField(fields, tag)]);
+  if (unsupported) {
+    const [tag, name] = unsupported;
+    handleFixAccountEvent(session, 'order_reject', {
+      request: 'place',
+      client_order_id: clOrdId,
+      symbol_name: symbolName,
+      reason: `Unsupported ${name} (${tag}): ${getFixField(fields, tag)}`
+    });
+    return;
   }
   
-  // Start all update processes
-  startStockUpdates();
-  startBroadcasting();
-  startTableUpdates();
-  startHomepageUpdates();
-  startChartUpdates();
-  
-  console.log('All update processes started');
+  const price = getFixField(fields, 44);
+  const timeInForce = getFixField(fields, 59);
+  placeOrder(session.compId, {
+    symbol_name: symbolName,
+    side: FIX_SIDES[getFixField(fields, 54)],
+    type: FIX_ORD_TYPES[getFixField(fields, 40)],
+    quantity: Number(getFixField(fields, 38)),
+    price: price !== undefined ? Number(price) : undefined,
+    time_in_force: timeInForce !== undefined ? FIX_TIME_IN_FORCE[timeInForce] : undefined,
+    client_order_id: clOrdId
+  });
 }
 
 /**
- * Stops all update processes
+ * Handles an OrderCancelRequest (35=F) for the order with OrigClOrdID (or OrderID)
+ * The cancel's own ClOrdID is reported on the resulting execution report or OrderCancelReject
+ * @param {object} session - FIX session
+ * @param {Array<Array>} fields - OrderCancelRequest message
  */
-function stopAllUpdates() {
-  console.log('Stopping all update processes...');
+function handleFixOrderCancelRequest(session, fields) {
+  if (rejectMissingFixFields(session, fields, [11, 41, 55, 54])) return;
   
-  stopStockUpdates();
-  stopBroadcasting();
-  stopTableUpdates();
-  stopHomepageUpdates();
-  stopChartUpdates();
-  
-  console.log('All update processes stopped');
+  const orderId = getFixField(fields, 37);
+  cancelClientOrder(session.compId, orderId ? { order_id: orderId } : { client_order_id: getFixField(fields, 41) });
 }
 
-// ============================================
-// SOCKET.IO EVENTS
-// ============================================
-
-io.on('connection', (socket) => {
-  connectedClients++;
-  console.log(`Client connected: ${socket.id} (Total clients: ${connectedClients})`);
+/**
+ * Translates the order events of a session's account into FIX messages: order_ack and
+ * execution_report become ExecutionReports (35=8), order_reject an ExecutionReport with
+ * ExecType Rejected (orders) or an OrderCancelReject (35=9, cancels and amendments)
+ * Events raised while a FIX request is handled carry its ClOrdID (and OrigClOrdID for cancels);
+ * other client events have no FIX counterpart and are dropped
+ * @param {object} session - FIX session
+ * @param {string} event - Client event name
+ * @param {object} payload - Event payload
+ */
+function handleFixAccountEvent(session, event, payload) {
+  const request = session.activeRequest;
+  const order = request && request.msgType === 'D' ? request.fields : null;
+  const cancel = request && request.msgType === 'F' ? request.fields : null;
   
-  // Start updates if this is the first client
-  if (connectedClients === 1) {
-    console.log('First client connected - starting data generation');
-    startAllUpdates();
+  if (event === 'order_reject' && payload.request !== 'place') {
+    sendFixMessage(session, '9', [
+      [37, payload.order_id || 'NONE'],
+      [11, cancel ? getFixField(cancel, 11) : payload.client_order_id || 'NONE'],
+      [41, cancel ? getFixField(cancel, 41) : payload.client_order_id],
+      [39, '8'],
+      [434, payload.request === 'cancel' ? 1 : 2],
+      [102, /not found/.test(payload.reason) ? 1 : 99], // Unknown order / other
+      [58, payload.reason]
+    ]);
+    return;
   }
   
-  // Send initial data immediately on connection
-  socket.emit('stock_update', stockSymbols);
-  socket.emit('homepage_updates', homepageData);
+  let body;
+  if (event === 'order_reject') {
+    body = [
+      [37, 'NONE'],
+      [11, payload.client_order_id || 'NONE'],
+      [17, `REJ-${String(nextFixRejectId++).padStart(6, '0')}`],
+      [150, 8],
+      [39, 8],
+      [55, payload.symbol_name],
+      [54, order ? getFixField(order, 54) : null],
+      [40, order ? getFixField(order, 40) : null],
+      [38, order ? getFixField(order, 38) : null],
+      [151, 0],
+      [14, 0],
+      [6, 0],
+      [58, payload.reason]
+    ];
+  } else if (event === 'order_ack' || event === 'execution_report') {
+    const ack = event === 'order_ack';
+    const cancelled = !ack && payload.exec_type === 'cancelled' && cancel;
+    body = [
+      [37, payload.order_id],
+      [11, cancelled ? getFixField(cancel, 11) : payload.client_order_id || payload.order_id],
+      [41, cancelled ? getFixField(cancel, 41) : null],
+      [17, ack ? `${payload.order_id}-NEW` : payload.exec_id],
+      [150, ack ? 0 : FIX_EXEC_TYPES[payload.exec_type]],
+      [39, FIX_ORD_STATUS[payload.status]],
+      [55, payload.symbol_name],
+      [54, getFixCode(FIX_SIDES, payload.side)],
+      [40, getFixCode(FIX_ORD_TYPES, payload.type)],
+      [44, payload.price],
+      [38, payload.quantity],
+      [59, getFixCode(FIX_TIME_IN_FORCE, payload.time_in_force)],
+      [32, payload.last_qty],
+      [31, payload.last_price],
+      [151, ack ? payload.quantity : payload.leaves_qty],
+      [14, ack ? 0 : payload.cum_qty],
+      [6, (!ack && payload.avg_price) || 0],
+      [60, formatFixTime(payload.time)],
+      [58, payload.reason]
+    ];
+  } else {
+    return;
+  }
   
-  // Send initial chart data (full history)
-  sendInitialChartData(socket);
+  sendFixMessage(session, '8', body);
+}
+
+/**
+ * Ends a FIX connection: the session stays (with its sequence numbers) for the next Logon,
+ * its market data subscriptions end and its account client disconnects
+ * @param {object} connection - FIX connection
+ */
+function closeFixConnection(connection) {
+  clearInterval(connection.heartbeatTimer);
+  const session = connection.session;
+  if (!session || session.connection !== connection) return;
   
-  socket.on('disconnect', () => {
-    connectedClients--;
-    console.log(`Client disconnected: ${socket.id} (Total clients: ${connectedClients})`);
-    
-    // Remove from chart status tracking
-    clientChartStatus.delete(socket.id);
+  session.connection = null;
+  session.marketData.clear();
+  if (session.client) {
+    disconnectPlainClient(session.client);
+    session.client = null;
+  }
+  console.log(`🔌 FIX session ${session.compId} disconnected (next seq in ${session.incomingSeq} / out ${session.outgoingSeq})`);
+}
+
+/**
+ * Starts the FIX acceptor on CONFIG.FIX_PORT
+ */
+function startFixAcceptor() {
+  fixServer = net.createServer((socket) => {
+    const connection = { socket, buffer: '', session: null, heartbeatTimer: null };
+    socket.setEncoding('latin1');
     
-    // Stop updates and clear data if no clients are connected
-    if (connectedClients === 0) {
-      console.log('No clients connected - stopping data generation and clearing memory');
-      stopAllUpdates();
-      clearAllData();
-    }
-  });
-  
-  // Handle client requests for specific stocks
-  socket.on('get_stocks', () => {
-    console.log(`📊 Client ${socket.id} requested stock data`);
-    socket.emit('stock_update', stockSymbols);
-  });
-  
-  // Handle client requests for homepage data
-  socket.on('get_homepage', () => {
-    console.log(`🏠 Client ${socket.id} requested homepage data`);
-    socket.emit('homepage_updates', homepageData);
+    socket.on('data', (data) => {
+      connection.buffer += data;
+      let message;
+      while (!socket.destroyed && (message = takeFixMessage(connection)) !== null) {
+        handleFixMessage(connection, message);
+      }
+    });
+    socket.on('close', () => closeFixConnection(connection));
+    socket.on('error', (error) => console.error('FIX connection error:', error.message));
   });
   
-  // Handle client requests for chart data
-  socket.on('get_chart', () => {
-    console.log(`📈 Client ${socket.id} requested chart data`);
-    sendInitialChartData(socket);
+  fixServer.listen(CONFIG.FIX_PORT, () => {
+    console.log(`🏦 FIX 4.4 acceptor listening on port ${CONFIG.FIX_PORT} (TargetCompID ${CONFIG.FIX_COMP_ID})`);
   });
-});
+}
+
+/**
+ * Gets the state of every FIX session
+ * @returns {Array<object>} Session summaries
+ */
+function getFixSessionList() {
+  return [...fixSessions.values()].map(session => ({
+    comp_id: session.compId,
+    logged_on: session.client !== null,
+    heartbeat_interval: session.heartBtInt,
+    next_incoming_seq: session.incomingSeq,
+    next_outgoing_seq: session.outgoingSeq,
+    stored_messages: session.store.length,
+    market_data_requests: [...session.marketData.keys()]
+  }));
+}
 
 // ============================================
 // HTTP ENDPOINTS
@@ -973,15 +7260,22 @@ app.get('/', (req, res) => {
       updateInterval: `${CONFIG.UPDATE_INTERVAL}ms`,
       broadcastInterval: `${CONFIG.BROADCAST_INTERVAL}ms`,
       stocksUpdatedPerCycle: CONFIG.STOCKS_TO_UPDATE,
-      tableElements: CONFIG.TABLE_ELEMENTS,
+      tapeHistorySize: CONFIG.TAPE_HISTORY_SIZE,
       tableUpdatesPerSecond: CONFIG.TABLE_UPDATES_PER_SECOND,
       homepageUpdateInterval: `${CONFIG.HOMEPAGE_UPDATE_INTERVAL}ms`,
       chartUpdateInterval: `${CONFIG.CHART_UPDATE_INTERVAL}ms`,
-      candleDuration: `${CONFIG.CHART_CANDLE_DURATION}ms`,
+      chartIntervals: Object.keys(CONFIG.CHART_INTERVALS),
+      defaultChartInterval: CONFIG.CHART_DEFAULT_INTERVAL,
       chartHistorySize: CONFIG.CHART_HISTORY_SIZE,
+      chartSymbols: 'Every stock symbol has its own candle history',
       volatility: `${(CONFIG.CHART_VOLATILITY * 100).toFixed(2)}%`,
-      ticksPerCandle: CONFIG.CHART_TICKS_PER_CANDLE
+      ticksPerCandle: CONFIG.CHART_TICKS_PER_CANDLE,
+      seed: CONFIG.SEED,
+      clockMode: CONFIG.CLOCK_MODE,
+      clockSpeed: clockSpeed,
+      clockPaused: clockPaused
     },
+    replay: getReplayStatus(),
     realisticFeatures: {
       trendFollowing: 'Market follows bullish/bearish trends',
       meanReversion: 'Prices tend to return to base price',
@@ -989,18 +7283,72 @@ app.get('/', (req, res) => {
       smoothOHLC: 'Multiple ticks create realistic candles'
     },
     chartOptimization: {
-      strategy: 'Initial full load + incremental updates',
-      initialLoad: 'All historical candles + current candle',
-      incrementalUpdate: 'Only current candle',
+      strategy: 'Per-symbol subscription: initial full load + incremental updates',
+      initialLoad: 'All historical candles + current candle for the requested symbol',
+      incrementalUpdate: 'Candles completed since last update + current candle, only for requested symbols',
       performance: 'Reduced bandwidth and CPU usage'
     },
     endpoints: {
-      socketio: 'Connect via Socket.IO for real-time updates',
+      socketio: 'Connect via Socket.IO for real-time updates (pass auth or query user_id to select a paper trading account; query symbols=A,B and/or pattern=P start with that stock subscription)',
+      websocket: `Plain WebSocket at ${CONFIG.WS_PATH} for clients without Socket.IO (same query options as Socket.IO, plus resync=true): every message in both directions is JSON { event, data } carrying the events and clientEvents below; malformed messages and unknown events are answered with protocol_error { event, message }`,
+      fix: `FIX 4.4 acceptor on TCP port SIM_FIX_PORT (${CONFIG.FIX_PORT || 'disabled'}), TargetCompID ${CONFIG.FIX_COMP_ID}; the SenderCompID is the paper trading account. Session: Logon (HeartBtInt, ResetSeqNumFlag), Heartbeat, TestRequest, ResendRequest (execution reports and rejects resent with PossDupFlag, the rest gap-filled), SequenceReset, Reject, Logout; sequence numbers persist across logons. Market data: MarketDataRequest (263=0 snapshot, 1 subscribe, 2 unsubscribe; 265=1 incremental X or 0 full W refreshes; 269 = 0 bid, 1 offer, 2 trade, 4 open, 7 high, 8 low, 9 VWAP, B volume) -> W/X or MarketDataRequestReject. Orders: NewOrderSingle (54=1|2, 40=1 market|2 limit, 59=0 day|3 IOC) and OrderCancelRequest (41 OrigClOrdID) -> ExecutionReport or OrderCancelReject`,
+      encodings: 'Negotiated at connect with handshake option encoding (Socket.IO auth or query, WebSocket and SSE query): json (default, unchanged payloads), msgpack (every payload is MessagePack: a binary Socket.IO argument, or a binary { event, data } WebSocket frame; not for SSE) or columnar (JSON where the stocks of stock_update, trades of table_update and candles of chart_update are { columnar: stock|trade|candle, count, columns } with one array per field of the dictionary sent in the encoding event). In msgpack and columnar, buy_change, sell_change, change (percent), price and last_order_value are numbers instead of formatted strings; unknown encodings are refused at connect',
+      sse: 'Server-Sent Events, one stream per endpoint: GET /stream/stocks and /stream/table (query symbols, pattern), /stream/homepage (query user_id) and /stream/chart?symbol=&interval=; SSE event names and data are the events below, the SSE id is their seq, and reconnecting with Last-Event-ID resyncs the stream (an unknown chart symbol gets chart_error and the stream closes)',
       events: {
-        stock_update: 'Batch stock updates',
-        table_update: 'Individual table element updates',
-        homepage_updates: 'Homepage data updates',
-        chart_update: 'Realistic chart updates (initial: full, then: incremental)'
+        stock_update: '{ seq, type, stocks } for the client\'s subscribed symbols: a snapshot on connect/subscribe/get_stocks, then deltas with only changed symbols (seq + 1 each time; resync or request get_stocks on a gap); buy_value (ask) is always above sell_value (bid), both on the tick_size grid; buy_change/sell_change are against previous_close; each stock also carries sector, trading_status and the trading day\'s open, high, low, volume, turnover and vwap (reset at the day rollover; open/high/low/vwap are null before the first trade)',
+        encoding: 'Sent first on connect to clients that negotiated a compact encoding { encoding, fields: { stock, trade, candle } } (fields: the columnar field dictionary, columnar only)',
+        subscription_update: 'Current stock subscription after subscribe/unsubscribe { all, symbols, patterns, rejected }',
+        table_update: 'Time and sales: { seq, type: snapshot, trades } on connect (the most recent trades), then { seq, type: delta, trades } batches on the subscribed symbols (seq + 1 each time); trades are { trade_id, symbol_code, symbol_name (company), price, change (vs previous close), last_order_value, last_order_qty, aggressor_side: buy|sell, timestamp } (simulated trades print inside the spread; client fills and replayed volume are on the tape too)',
+        homepage_updates: 'Homepage data computed from the user\'s paper trading account, marked to live prices',
+        account_update: 'Account details { cash, market_value, equity, unrealized_pnl, realized_pnl, positions }',
+        chart_update: 'Per-symbol chart updates { symbol_name, interval, seq, type, data } for the selected timeframe (type snapshot: full, then delta: incremental; seq is per symbol and timeframe); candles are { time, open, high, low, close, volume }',
+        config_changed: 'Runtime config changed { changes: { KEY: { from, to } }, config, time }',
+        depth_update: '{ symbol_name, seq, type: snapshot, levels, bids, asks } on subscribe_depth, then { symbol_name, seq, type: delta, changes: [{ side: bid|ask, price, size, orders }] } (size 0 removes the level; levels are { price, size, orders }; resync or resubscribe on a seq gap)',
+        depth_error: 'subscribe_depth failed { symbol_name, message }',
+        resync_complete: 'Answer to resync { streams: { <stream>: { mode: replay|snapshot, replayed, seq } }, rejected: [{ stream, reason }] }',
+        index_update: 'Composite and sector index levels every INDEX_UPDATE_INTERVAL { seq, time, indices: [{ index, name, level, open, change, change_percent, constituents, candle }] } (also sent on connect; candle volume is the constituents\' traded quantity)',
+        session_state: 'Session phase changed { phase: closed|pre_open|auction|continuous, scheduled_phase, override, next_phase, next_phase_at, ... } (also sent on connect; prices are frozen and orders rejected outside continuous, except day limit orders queued during the auction call for the opening uncross)',
+        trading_status: 'Symbol or market trading status changed { scope: symbol|market, status: trading|halted|limit_up|limit_down, reason, resumes_at, ... } (market status is also sent on connect)',
+        scenario_event: 'A scenario event fired { scenario, run_id, event, symbols_affected, time }',
+        clock_update: 'Simulation clock changed { paused, speed, time, iso, ... }',
+        chart_error: 'Sent when a chart is requested for an unknown symbol or unsupported interval',
+        order_ack: 'Order accepted { order_id, client_order_id, ... }',
+        order_reject: 'Order, cancel or amend rejected { request, reason, ... }',
+        execution_report: 'Order fills, cancels and amendments { exec_type, status, last_qty, last_price, cum_qty, leaves_qty, avg_price, ... }'
+      },
+      clientEvents: {
+        get_stocks: 'Request a snapshot of the subscribed stocks',
+        resync: 'After a reconnect: { streams: { <stream>: <last seq seen> }, subscription } with streams stocks, table, index, chart:<symbol>:<interval> and depth:<symbol>; missed messages are replayed in order, or a snapshot is sent when they are older than the last RESYNC_BUFFER_SIZE messages; chart and depth streams resubscribe; answered with resync_complete (connect with auth { resync: true } to skip the connect snapshots)',
+        subscribe: 'Subscribe to stocks: \'all\', [symbols] or { symbols, pattern } (replaces the default "all" on first use)',
+        unsubscribe: 'Unsubscribe from stocks: \'all\', [symbols] or { symbols, pattern }',
+        get_homepage: 'Request homepage data',
+        get_account: 'Request account details',
+        get_chart: 'Request a symbol\'s chart and select its live timeframe: { symbol_name, interval }',
+        stop_chart: 'Stop chart updates for a symbol: { symbol_name }',
+        subscribe_depth: 'Receive level 2 depth for symbols: { symbol_name } or { symbols: [...] } (snapshot, then depth_update deltas)',
+        unsubscribe_depth: 'Stop depth for symbols: { symbol_name } or { symbols: [...] }',
+        place_order: 'Place an order: { symbol_name, side: buy|sell, type: limit|market, quantity, price, time_in_force: day|ioc, client_order_id }',
+        cancel_order: 'Cancel an open order: { order_id } or { client_order_id }',
+        amend_order: 'Amend an open limit order: { order_id | client_order_id, quantity, price }'
+      },
+      http: {
+        chart: 'GET /chart?symbol=<symbol_name>&interval=<interval>',
+        depth: 'GET /depth?symbol=<symbol_name>&levels=<1-100>',
+        tape: 'GET /tape?symbol=<symbol_name>&limit=<1-TAPE_HISTORY_SIZE> (recent trades, newest first)',
+        instruments: 'GET /instruments?sector=&currency=, GET /instruments/:symbol (symbol_name, name, isin, sector, currency, lot_size, tick_size, initial_price; order quantities must be whole lots and limit prices whole ticks, tick_size null = price band tick sizes)',
+        clock: 'GET /clock',
+        clockControl: 'POST /clock/pause | resume, POST /clock/speed { speed }, POST /clock/step { ticks } and POST /clock/advance { ms } (admin; step and advance while paused, at most CLOCK_MAX_ADVANCE ms per jump, answered once the jump has run)',
+        account: 'GET /accounts/:userId',
+        fixSessions: 'GET /fix/sessions (FIX sessions with their sequence numbers and market data requests)',
+        indices: 'GET /indices, GET /indices/:index/chart?interval=5s|1m|5m|15m|1h|1D (index is COMPOSITE or a sector code)',
+        snapshot: 'POST /admin/snapshot (admin; saves the market now - it is also saved periodically, when idle and on shutdown)',
+        priceModels: 'GET /price-models, POST /admin/price-models { model, params, symbols | pattern | sector } (admin; later rules override earlier ones)',
+        session: 'GET /session, POST /admin/session { phase } (admin; phase null returns to the schedule)',
+        tradingStatus: 'GET /trading-status (market status, composite index and every symbol not trading)',
+        scenarios: 'GET /scenarios, POST /scenarios/run { file }, POST /scenarios/stop { id } (admin; omit id to stop all; events target symbols | pattern | sector, or the whole market)',
+        adminConfig: 'GET /admin/config, PATCH /admin/config { KEY: value } (Authorization: Bearer <SIM_ADMIN_TOKEN>)',
+        adminNamespace: 'Socket.IO namespace /admin (auth { token }): get_config, update_config, set_session_phase { phase } -> config, config_changed, config_error',
+        replay: 'GET /replay, POST /replay/load { files, speed, loop, autoplay }, POST /replay/play | pause | unload, POST /replay/seek { time | offset_ms }, POST /replay/speed { speed }, POST /replay/loop { loop } (POSTs are admin)'
       }
     }
   });
@@ -1009,30 +7357,422 @@ app.get('/', (req, res) => {
 app.get('/stocks', (req, res) => {
   res.json({
     count: stockSymbols.length,
+    seq: getStreamSeq('stocks'),
     stocks: stockSymbols,
     dataGenerationActive: connectedClients > 0
   });
 });
 
+// Server-Sent Events: one stream per endpoint, with the same payloads and subscription semantics as Socket.IO
+app.get('/stream/stocks', (req, res) => {
+  openEventStream(req, res, ['stock_update', 'subscription_update', 'resync_complete'], 'stocks');
+});
+
+app.get('/stream/table', (req, res) => {
+  openEventStream(req, res, ['table_update', 'subscription_update', 'resync_complete'], 'table');
+});
+
+app.get('/stream/homepage', (req, res) => {
+  openEventStream(req, res, ['homepage_updates'], null);
+});
+
+app.get('/stream/chart', (req, res) => {
+  const symbolName = req.query.symbol;
+  if (!symbolName) {
+    return res.status(400).json({ error: 'Missing required query parameter: symbol' });
+  }
+  
+  const interval = req.query.interval || CONFIG.CHART_DEFAULT_INTERVAL;
+  if (!getIntervalDuration(interval)) {
+    return res.status(400).json({
+      error: `Unsupported interval: ${interval}`,
+      supportedIntervals: Object.keys(CONFIG.CHART_INTERVALS)
+    });
+  }
+  
+  // Symbols are only known once the market runs, so an unknown one gets chart_error on the opened stream
+  const client = openEventStream(req, res, ['chart_update', 'chart_error', 'resync_complete'], chartRoom(symbolName, interval));
+  if (!client) return;
+  if (!client.handshake.auth.resync) {
+    sendInitialChartData(client, symbolName, interval);
+  }
+  if (!clientChartStatus.get(client.id)?.has(symbolName)) {
+    client.close();
+  }
+});
+
+app.get('/fix/sessions', (req, res) => {
+  res.json({
+    enabled: CONFIG.FIX_PORT !== null,
+    port: CONFIG.FIX_PORT,
+    comp_id: CONFIG.FIX_COMP_ID,
+    sessions: getFixSessionList()
+  });
+});
+
+app.get('/instruments', (req, res) => {
+  let list = getInstrumentList();
+  if (req.query.sector) {
+    list = list.filter(instrument => instrument.sector === String(req.query.sector).toUpperCase());
+  }
+  if (req.query.currency) {
+    list = list.filter(instrument => instrument.currency === String(req.query.currency).toUpperCase());
+  }
+  
+  res.json({
+    source: CONFIG.INSTRUMENT_FILE || 'random',
+    count: list.length,
+    instruments: list,
+    dataGenerationActive: connectedClients > 0
+  });
+});
+
+app.get('/instruments/:symbol', (req, res) => {
+  const instrument = getInstrumentList().find(entry => entry.symbol_name === req.params.symbol);
+  if (!instrument) {
+    return res.status(404).json({ error: `Unknown instrument: ${req.params.symbol}` });
+  }
+  res.json(instrument);
+});
+
+app.get('/tape', (req, res) => {
+  const symbolName = req.query.symbol;
+  if (!symbolName) {
+    return res.status(400).json({ error: 'Missing required query parameter: symbol' });
+  }
+  if (!findStock(symbolName)) {
+    return res.status(404).json({ error: `Unknown symbol: ${symbolName}` });
+  }
+  
+  const limit = req.query.limit !== undefined ? Number(req.query.limit) : CONFIG.TAPE_HISTORY_SIZE;
+  if (!Number.isInteger(limit) || limit < 1 || limit > CONFIG.TAPE_HISTORY_SIZE) {
+    return res.status(400).json({ error: `limit must be a whole number between 1 and ${CONFIG.TAPE_HISTORY_SIZE}` });
+  }
+  
+  const trades = getTape(symbolName, limit);
+  res.json({ symbol_name: symbolName, count: trades.length, trades });
+});
+
+app.get('/depth', (req, res) => {
+  const symbolName = req.query.symbol;
+  if (!symbolName) {
+    return res.status(400).json({ error: 'Missing required query parameter: symbol' });
+  }
+  
+  const levels = req.query.levels !== undefined ? Number(req.query.levels) : CONFIG.DEPTH_LEVELS;
+  if (!Number.isInteger(levels) || levels < 1 || levels > 100) {
+    return res.status(400).json({ error: 'levels must be a whole number between 1 and 100' });
+  }
+  
+  const depth = getBookDepth(symbolName, levels);
+  if (!depth) {
+    return res.status(404).json({ error: `Unknown symbol: ${symbolName}` });
+  }
+  res.json({ symbol_name: symbolName, levels, ...depth });
+});
+
+app.get('/indices', (req, res) => {
+  res.json({ time: now(), indices: getIndexSummaries() });
+});
+
+app.get('/indices/:index/chart', (req, res) => {
+  const interval = req.query.interval || CONFIG.CHART_DEFAULT_INTERVAL;
+  if (!getIntervalDuration(interval)) {
+    return res.status(400).json({
+      error: `Unsupported interval: ${interval}`,
+      supportedIntervals: Object.keys(CONFIG.CHART_INTERVALS)
+    });
+  }
+  
+  const index = marketIndices.get(req.params.index);
+  if (!index) {
+    return res.status(404).json({ error: `Unknown index: ${req.params.index}`, indices: [...marketIndices.keys()] });
+  }
+  
+  const data = getChartSnapshot(index.chart, interval);
+  res.json({ index: req.params.index, interval, count: data.length, data, level: index.level });
+});
+
 app.get('/chart', (req, res) => {
-  const chartDataToSend = [...chartData];
-  if (currentCandle) {
-    chartDataToSend.push(currentCandle);
+  const symbolName = req.query.symbol;
+  if (!symbolName) {
+    return res.status(400).json({ error: 'Missing required query parameter: symbol' });
+  }
+  
+  const interval = req.query.interval || CONFIG.CHART_DEFAULT_INTERVAL;
+  if (!getIntervalDuration(interval)) {
+    return res.status(400).json({
+      error: `Unsupported interval: ${interval}`,
+      supportedIntervals: Object.keys(CONFIG.CHART_INTERVALS)
+    });
   }
+  
+  const chart = symbolCharts.get(symbolName);
+  if (!chart) {
+    return res.status(404).json({ error: `Unknown symbol: ${symbolName}` });
+  }
+  
+  const chartDataToSend = getChartSnapshot(chart, interval);
   res.json({
+    symbol_name: symbolName,
+    interval,
     count: chartDataToSend.length,
     data: chartDataToSend,
-    currentPrice: lastPrice,
-    currentTrend: currentTrend === 1 ? 'Bullish' : currentTrend === -1 ? 'Bearish' : 'Neutral',
-    trendStrength: trendStrength.toFixed(2),
+    currentPrice: chart.lastPrice,
     dataGenerationActive: connectedClients > 0,
     optimization: {
       strategy: 'Initial clients get full history, subsequent updates are incremental',
-      trackedClients: clientChartStatus.size
+      trackedClients: getRoomSize(chartRoom(symbolName, interval))
     }
   });
 });
 
+app.get('/accounts/:userId', (req, res) => {
+  const account = accounts.get(req.params.userId);
+  if (!account) {
+    return res.status(404).json({ error: `Unknown account: ${req.params.userId}` });
+  }
+  
+  res.json(getAccountSummary(account));
+});
+
+app.get('/admin/config', requireAdmin, (req, res) => {
+  res.json({ config: getEditableConfig(), schema: CONFIG_SCHEMA });
+});
+
+app.patch('/admin/config', requireAdmin, (req, res) => {
+  const result = applyConfigChanges(req.body);
+  if (result.errors) {
+    return res.status(400).json({ errors: result.errors });
+  }
+  res.json({ changes: result.changes, config: getEditableConfig() });
+});
+
+app.get('/clock', (req, res) => {
+  res.json(getClockState());
+});
+
+app.post('/clock/pause', requireAdmin, (req, res) => {
+  pauseClock();
+  res.json(getClockState());
+});
+
+app.post('/clock/resume', requireAdmin, (req, res) => {
+  if (clockAdvancing) {
+    return res.status(409).json({ error: 'The clock is being stepped or advanced' });
+  }
+  
+  resumeClock();
+  res.json(getClockState());
+});
+
+app.post('/clock/speed', requireAdmin, (req, res) => {
+  const speed = Number(req.query.speed ?? (req.body && req.body.speed));
+  if (!Number.isFinite(speed) || speed <= 0 || speed > CONFIG.CLOCK_MAX_SPEED) {
+    return res.status(400).json({ error: `speed must be a number above 0 and at most ${CONFIG.CLOCK_MAX_SPEED}` });
+  }
+  
+  setClockSpeed(speed);
+  res.json(getClockState());
+});
+
+app.post('/clock/step', requireAdmin, async (req, res) => {
+  const conflict = getClockJumpConflict();
+  if (conflict) {
+    return res.status(409).json({ error: conflict });
+  }
+  
+  const maxTicks = Math.floor(CONFIG.CLOCK_MAX_ADVANCE / CONFIG.UPDATE_INTERVAL);
+  const ticks = Number(req.query.ticks ?? (req.body && req.body.ticks) ?? 1);
+  if (!Number.isInteger(ticks) || ticks <= 0 || ticks > maxTicks) {
+    return res.status(400).json({ error: `ticks must be a whole number between 1 and ${maxTicks}` });
+  }
+  
+  await stepClock(ticks);
+  res.json(getClockState());
+});
+
+app.post('/clock/advance', requireAdmin, async (req, res) => {
+  const conflict = getClockJumpConflict();
+  if (conflict) {
+    return res.status(409).json({ error: conflict });
+  }
+  
+  const ms = Number(req.query.ms ?? (req.body && req.body.ms));
+  if (!Number.isFinite(ms) || ms <= 0 || ms > CONFIG.CLOCK_MAX_ADVANCE) {
+    return res.status(400).json({ error: `ms must be a positive number of at most ${CONFIG.CLOCK_MAX_ADVANCE}` });
+  }
+  
+  await advanceClockInChunks(ms);
+  res.json(getClockState());
+});
+
+app.get('/replay', (req, res) => {
+  res.json(getReplayStatus());
+});
+
+app.post('/replay/load', requireAdmin, (req, res) => {
+  const { files, speed, loop, autoplay } = req.body || {};
+  if (!Array.isArray(files) || files.length === 0 || !files.every(file => typeof file === 'string')) {
+    return res.status(400).json({ error: 'files must be a non-empty array of file names' });
+  }
+  if (speed !== undefined && !(typeof speed === 'number' && speed > 0)) {
+    return res.status(400).json({ error: 'speed must be a positive number' });
+  }
+  
+  try {
+    loadReplay(files, {
+      speed: speed ?? CONFIG.REPLAY_SPEED,
+      loop: loop ?? CONFIG.REPLAY_LOOP,
+      autoplay: autoplay ?? true
+    });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  res.json(getReplayStatus());
+});
+
+// Replay controls below need a loaded replay
+app.use('/replay', (req, res, next) => {
+  if (replay.events.length === 0) {
+    return res.status(409).json({ error: 'No replay loaded (POST /replay/load first)' });
+  }
+  next();
+});
+
+app.post('/replay/play', requireAdmin, (req, res) => {
+  if (replay.finished) {
+    seekReplay(replay.startTime);
+  }
+  replay.playing = true;
+  res.json(getReplayStatus());
+});
+
+app.post('/replay/pause', requireAdmin, (req, res) => {
+  replay.playing = false;
+  res.json(getReplayStatus());
+});
+
+app.post('/replay/seek', requireAdmin, (req, res) => {
+  const { time, offset_ms: offsetMs } = req.body || {};
+  const target = offsetMs !== undefined ? replay.startTime + Number(offsetMs) : parseReplayTimestamp(time);
+  if (!Number.isFinite(target)) {
+    return res.status(400).json({ error: 'Provide time (ISO date or epoch) or offset_ms from the replay start' });
+  }
+  
+  if (stockSymbols.length > 0) {
+    seekReplay(target);
+  } else {
+    replay.position = Math.max(replay.startTime, Math.min(replay.endTime, target));
+  }
+  res.json(getReplayStatus());
+});
+
+app.post('/replay/speed', requireAdmin, (req, res) => {
+  const speed = Number((req.body || {}).speed);
+  if (!(speed > 0)) {
+    return res.status(400).json({ error: 'speed must be a positive number' });
+  }
+  replay.speed = speed;
+  res.json(getReplayStatus());
+});
+
+app.post('/replay/loop', requireAdmin, (req, res) => {
+  replay.loop = (req.body || {}).loop === true;
+  res.json(getReplayStatus());
+});
+
+app.post('/replay/unload', requireAdmin, (req, res) => {
+  unloadReplay();
+  res.json(getReplayStatus());
+});
+
+app.post('/admin/snapshot', requireAdmin, (req, res) => {
+  if (!CONFIG.SNAPSHOT_FILE) {
+    return res.status(409).json({ error: 'Persistence is disabled (SIM_SNAPSHOT_FILE is empty)' });
+  }
+  if (!saveSnapshot('admin request')) {
+    return res.status(409).json({ error: 'Nothing to save - the market has not started yet' });
+  }
+  res.json({ file: CONFIG.SNAPSHOT_FILE, saved_at: new Date().toISOString() });
+});
+
+app.get('/price-models', (req, res) => {
+  res.json(getPriceModelOverview());
+});
+
+app.post('/admin/price-models', requireAdmin, (req, res) => {
+  const error = addPriceModelRule(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  res.json(getPriceModelOverview());
+});
+
+app.get('/session', (req, res) => {
+  res.json(getSessionState());
+});
+
+app.post('/admin/session', requireAdmin, (req, res) => {
+  const phase = req.body && req.body.phase !== undefined ? req.body.phase : null;
+  const error = overrideSessionPhase(phase);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  res.json(getSessionState());
+});
+
+app.get('/trading-status', (req, res) => {
+  res.json({
+    market: getMarketStatus(),
+    symbols: stockSymbols
+      .filter(stock => stock.trading_status !== 'trading')
+      .map(stock => {
+        const state = priceLimitStates.get(stock.symbol_name);
+        return {
+          symbol_name: stock.symbol_name,
+          status: stock.trading_status,
+          reason: state ? state.haltReason : null,
+          resumes_at: state ? state.haltedUntil : null
+        };
+      })
+  });
+});
+
+app.get('/scenarios', (req, res) => {
+  res.json({ available: listScenarioFiles(), running: getRunningScenarios() });
+});
+
+app.post('/scenarios/run', requireAdmin, (req, res) => {
+  const { file } = req.body || {};
+  if (typeof file !== 'string') {
+    return res.status(400).json({ error: 'file must be a scenario file name' });
+  }
+  if (stockUpdateInterval === null) {
+    return res.status(409).json({ error: 'Market is idle - connect a client before running a scenario' });
+  }
+  
+  let scenario;
+  try {
+    scenario = loadScenarioFile(file);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  
+  const run = runScenario(scenario);
+  res.json({ id: run.id, running: getRunningScenarios() });
+});
+
+app.post('/scenarios/stop', requireAdmin, (req, res) => {
+  const { id } = req.body || {};
+  const ids = id === undefined ? [...runningScenarios.keys()] : [Number(id)];
+  const stopped = ids.filter(runId => stopScenario(runId));
+  if (id !== undefined && stopped.length === 0) {
+    return res.status(404).json({ error: `No running scenario with id ${id}` });
+  }
+  res.json({ stopped, running: getRunningScenarios() });
+});
+
 app.get('/health', (req, res) => {
   res.json({ 
     status: 'healthy', 
@@ -1045,15 +7785,25 @@ app.get('/health', (req, res) => {
 });
 
 app.get('/stats', (req, res) => {
+  const plainTransports = [...plainClients.values()].map(client => client.transport);
   res.json({
     connectedClients: connectedClients,
+    clientsByTransport: {
+      socketio: io.sockets.sockets.size,
+      websocket: plainTransports.filter(transport => transport === 'ws').length,
+      sse: plainTransports.filter(transport => transport === 'sse').length,
+      fix: plainTransports.filter(transport => transport === 'fix').length
+    },
     dataGenerationActive: connectedClients > 0,
     dataArraySizes: {
       stockSymbols: stockSymbols.length,
-      tableElements: tableElements.length,
-      chartData: chartData.length,
+      tapeSymbols: tradeTapes.size,
+      chartSymbols: symbolCharts.size,
       chartClientsTracked: clientChartStatus.size,
-      homepageDataInitialized: homepageData !== null
+      stockSubscriptions: clientStockSubscriptions.size,
+      orderBooks: orderBooks.size,
+      openOrders: openOrders.size,
+      accounts: accounts.size
     },
     activeIntervals: {
       stockUpdate: stockUpdateInterval !== null,
@@ -1063,13 +7813,12 @@ app.get('/stats', (req, res) => {
       chartUpdate: chartUpdateInterval !== null
     },
     chartState: {
-      currentCandle: currentCandle ? 'Active' : 'Not started',
-      lastPrice: lastPrice.toFixed(2),
-      currentTrend: currentTrend === 1 ? 'Bullish' : currentTrend === -1 ? 'Bearish' : 'Neutral',
-      trendStrength: trendStrength.toFixed(2),
-      ticksInCurrentCandle: tickCount,
-      candleStartTime: candleStartTime,
-      historySize: chartData.length
+      symbolsCharted: symbolCharts.size,
+      symbolsWithSubscribers: [...symbolCharts.keys()].filter(symbolName =>
+        Object.keys(CONFIG.CHART_INTERVALS).some(interval => roomHasClients(chartRoom(symbolName, interval)))
+      ).length,
+      intervals: Object.keys(CONFIG.CHART_INTERVALS),
+      historySizePerTimeframe: CONFIG.CHART_HISTORY_SIZE
     },
     memoryUsage: process.memoryUsage()
   });
@@ -1084,19 +7833,54 @@ async function startServer() {
     // Don't initialize data on startup - wait for first client
     console.log('Server starting in optimized mode with REALISTIC chart generation');
     
+    // Load historical replay files configured at startup
+    if (CONFIG.REPLAY_FILES.length > 0) {
+      loadReplay(CONFIG.REPLAY_FILES);
+    }
+    
+    // Load the instrument master (the random universe is the fallback)
+    if (CONFIG.INSTRUMENT_FILE) {
+      loadInstrumentFile();
+    }
+    
+    // Load price model modules and assignment rules
+    if (CONFIG.PRICE_MODEL_FILE) {
+      loadPriceModelConfig();
+    }
+    if (!priceModels.has(CONFIG.PRICE_MODEL_DEFAULT)) {
+      throw new Error(`Unknown default price model: ${CONFIG.PRICE_MODEL_DEFAULT}`);
+    }
+    
+    // Restore the market saved by the last run, then keep saving it
+    if (!['pause', 'continue', 'reset'].includes(CONFIG.IDLE_POLICY)) {
+      throw new Error(`Unknown idle policy: ${CONFIG.IDLE_POLICY} (use pause, continue or reset)`);
+    }
+    restoreSnapshot();
+    startSnapshotTimer();
+    
+    // Start the simulation clock (all update loops run on it)
+    startClockDriver();
+    
+    // Start the FIX acceptor (FIX sessions are clients like any other)
+    if (CONFIG.FIX_PORT) {
+      startFixAcceptor();
+    }
+    
     // Start server
     server.listen(CONFIG.PORT, () => {
       console.log('='.repeat(70));
       console.log(`🚀 Stock Exchange Simulator - REALISTIC MODE`);
       console.log(`📍 Running on port ${CONFIG.PORT}`);
       console.log(`⚡ OPTIMIZED: Data generation starts only when clients connect`);
-      console.log(`📊 Will manage ${CONFIG.TOTAL_SYMBOLS} stock symbols when active`);
-      console.log(`📋 Will manage ${CONFIG.TABLE_ELEMENTS} table elements when active`);
+      console.log(`📊 Will manage ${CONFIG.TOTAL_SYMBOLS} stock symbols when active (${CONFIG.INSTRUMENT_FILE || 'random instruments'})`);
+      console.log(`📋 Time & sales: ${CONFIG.TABLE_UPDATES_PER_SECOND} batches/second, last ${CONFIG.TAPE_HISTORY_SIZE} trades kept per symbol`);
       console.log(`🏠 Homepage updates: every ${CONFIG.HOMEPAGE_UPDATE_INTERVAL}ms`);
       console.log(`📈 Chart updates: every ${CONFIG.CHART_UPDATE_INTERVAL}ms`);
-      console.log(`🕯️  Candle duration: ${CONFIG.CHART_CANDLE_DURATION}ms (${CONFIG.CHART_CANDLE_DURATION/1000}s)`);
+      console.log(`🕯️  Candle intervals: ${Object.keys(CONFIG.CHART_INTERVALS).join(', ')} (default: ${CONFIG.CHART_DEFAULT_INTERVAL})`);
       console.log(`📉 Volatility: ${(CONFIG.CHART_VOLATILITY * 100).toFixed(2)}% per tick`);
       console.log(`🎯 Ticks per candle: ${CONFIG.CHART_TICKS_PER_CANDLE}`);
+      console.log(`🎲 Seed: ${CONFIG.SEED !== null ? CONFIG.SEED : 'none (Math.random)'} | Clock: ${CONFIG.CLOCK_MODE}`);
+      console.log(`💾 Snapshots: ${CONFIG.SNAPSHOT_FILE || 'disabled'} | Idle policy: ${CONFIG.IDLE_POLICY}`);
       console.log(`🌊 REALISTIC FEATURES:`);
       console.log(`   • Trend-following behavior (bullish/bearish)`);
       console.log(`   • Mean reversion towards base price`);
@@ -1122,6 +7906,11 @@ startServer();
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully...');
   stopAllUpdates();
+  stopClockDriver();
+  stopSnapshotTimer();
+  saveSnapshot('shutdown');
+  closePlainClients();
+  if (fixServer) fixServer.close();
   server.close(() => {
     console.log('Server closed');
     process.exit(0);
@@ -1131,6 +7920,11 @@ process.on('SIGTERM', () => {
 process.on('SIGINT', () => {
   console.log('\nSIGINT received, shutting down gracefully...');
   stopAllUpdates();
+  stopClockDriver();
+  stopSnapshotTimer();
+  saveSnapshot('shutdown');
+  closePlainClients();
+  if (fixServer) fixServer.close();
   server.close(() => {
     console.log('Server closed');
     process.exit(0);
@@ -0,0 +1,15 @@
+/**
+ * Example custom price model: GBM whose drift follows a sine wave, so prices cycle
+ * Use context.random/randomNormal (not Math.random) to keep seeded runs reproducible
+ */
+module.exports = {
+  name: 'cyclical',
+  description: 'GBM with a sinusoidal drift (amplitude per time unit, period in time units)',
+  defaults: { amplitude: 0.2, period: 1, sigma: 0.03 },
+  step(price, { dt, params, state, volatility, randomNormal }) {
+    state.phase = ((state.phase || 0) + dt / params.period) % 1;
+    const drift = params.amplitude * Math.sin(2 * Math.PI * state.phase);
+    const sigma = params.sigma * volatility;
+    return price * Math.exp((drift - sigma * sigma / 2) * dt + sigma * Math.sqrt(dt) * randomNormal());
+  }
+};